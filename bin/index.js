@@ -44,7 +44,7 @@ async function getConfig() {
 
 async function runAsCommand() {
   // assume it's not malformed
-  const { dist, sourceRoot } = await getConfig();
+  const { dist, sourceRoot, globalVarOpcode } = await getConfig();
   await rimrafAsync(dist);
   await fs.promises.mkdir(dist, { recursive: true });
 
@@ -67,6 +67,7 @@ async function runAsCommand() {
           emitAssignmentComments: true,
           emitStatementComments: true,
           emitRegisterComments: true,
+          globalVarOpcode,
         });
         try {
           const output = compiler.compile(content);
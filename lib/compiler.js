@@ -5,10 +5,33 @@ const assert = require("assert/strict");
 
 const addStackSimulation = require("./simulator");
 const RegisterAllocator = require("./register-allocator");
+const Register = require("./register");
 /// <reference path="./context.d.ts" />
 const Context = require("./context");
+const { encodeString, encodeNumber } = require("./literals");
+const {
+  analyzeFunctionScope,
+  getPatternIdentifiers,
+} = require("./scope-analysis");
 
 const INDENT_SPACES = 2;
+// Outside of function2 there are only the global registers r:0-r:3
+const GLOBAL_TEMPORARY_REGISTER_IDS = [1, 2, 3];
+
+// How a top-level "var" is compiled:
+// - setVariable: like an undeclared assignment
+// - defineLocal: declared as a local of the timeline the code runs in
+const GLOBAL_VAR_OPCODES = new Set(["setVariable", "defineLocal"]);
+
+// Arrow functions don't have their own "this", "arguments" and "super".
+// Functions with arrow functions using them store theirs by these names.
+const LEXICAL_THIS_VARIABLE = "__js2f_this";
+const LEXICAL_ARGUMENTS_VARIABLE = "__js2f_arguments";
+const LEXICAL_SUPER_VARIABLE = "__js2f_super";
+
+// Destructured parameters don't have a name, their registers are named by
+// their position, e.g. "__js2f_param0"
+const PATTERN_PARAM_PREFIX = "__js2f_param";
 
 const JS2F_DIRECTIVE = {
   // @js2f/push-register-context: r:1=this r:2=localVar1
@@ -26,6 +49,57 @@ class CompilerError extends Error {
   }
 }
 
+/*
+  enum BinaryOperator {
+    "==" | "!=" | "===" | "!=="
+      | "<" | "<=" | ">" | ">="
+      | "<<" | ">>" | ">>>"
+      | "+" | "-" | "*" | "/" | "%"
+      | "**" | "|" | "^" | "&" | "in"
+      | "instanceof"
+      | "|>"
+  }
+*/
+/** Opcodes which turn the left and right operands on the stack into the result. */
+const BINARY_OPERATOR_OPCODES = {
+  "==": ["equals"],
+  "!=": ["equals", "not"],
+  "===": ["strictEquals"],
+  "!==": ["strictEquals", "not"],
+  "<": ["lessThan"],
+  "<=": ["greaterThan", "not"],
+  ">": ["greaterThan"],
+  ">=": ["lessThan", "not"],
+  "<<": ["shiftLeft"],
+  ">>": ["shiftRight"],
+  ">>>": ["shiftRight2"],
+  "+": ["add"],
+  "-": ["subtract"],
+  "*": ["multiply"],
+  "/": ["divide"],
+  "%": ["modulo"],
+  // no opcode for exponentiation -> Math.pow(left, right)
+  "**": ["swap", "push 2, 'Math'", "getVariable", "push 'pow'", "callMethod"],
+  "|": ["bitwiseOr"],
+  "^": ["bitwiseXor"],
+  "&": ["bitwiseAnd"],
+  // "in" needs its operands in registers, see emitInOperator
+  instanceof: ["instanceOf"],
+};
+
+/**
+ * Opcodes which turn the left operand of a logical operator on the stack into
+ * whether it alone decides the result.
+ */
+const LOGICAL_OPERATOR_OPCODES = {
+  // falsy
+  "&&": ["not"],
+  // truthy
+  "||": [],
+  // neither null nor undefined
+  "??": ["push NULL", "equals", "not"],
+};
+
 /** Determines whether an AST node represents a literal that can be pushed directly with the push opcode. */
 function isPushableLiteralNode(node) {
   // also .type === 'Identifier' && .name === 'undefined'
@@ -36,7 +110,10 @@ function isPushableLiteralNode(node) {
     node.type === "BooleanLiteral" ||
     node.type === "NumericLiteral" ||
     node.type === "BigIntLiteral" ||
-    (node.type === "Identifier" && node.name === "undefined")
+    (node.type === "Identifier" &&
+      (node.name === "undefined" ||
+        node.name === "NaN" ||
+        node.name === "Infinity"))
   );
 }
 
@@ -50,15 +127,121 @@ function isSideEffectFree(node) {
     node.type === "NumericLiteral" ||
     node.type === "BigIntLiteral" ||
     node.type === "Identifier" ||
+    node.type === "ThisExpression" ||
+    node.type === "Super" ||
+    // ignoring getters added with addProperty
+    (node.type === "MemberExpression" &&
+      isSideEffectFree(node.object) &&
+      (!node.computed || isSideEffectFree(node.property))) ||
     (node.type === "BinaryExpression" &&
       isSideEffectFree(node.left) &&
       isSideEffectFree(node.right)) ||
-    (node.type === "UnaryExpression" && isSideEffectFree(node.argument))
+    (node.type === "UnaryExpression" &&
+      node.operator !== "delete" &&
+      isSideEffectFree(node.argument))
   );
 }
 
-function isMemberExpression(node) {
-  return node.type === "MemberExpression";
+/**
+ * Determines whether a statement contains a return, or a break or a continue
+ * which jumps outside of the statement. Doesn't look inside nested functions.
+ */
+function containsJumpOutOf(rootNode) {
+  const visit = (node, labels, isInLoop, isInBreakable) => {
+    if (!node || typeof node.type !== "string") {
+      return false;
+    }
+
+    switch (node.type) {
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return false;
+      case "ReturnStatement":
+        return true;
+      case "BreakStatement":
+        return node.label ? !labels.includes(node.label.name) : !isInBreakable;
+      case "ContinueStatement":
+        return node.label ? !labels.includes(node.label.name) : !isInLoop;
+      case "LabeledStatement":
+        return visit(
+          node.body,
+          [...labels, node.label.name],
+          isInLoop,
+          isInBreakable
+        );
+      case "WhileStatement":
+      case "DoWhileStatement":
+      case "ForStatement":
+      case "ForInStatement":
+        isInLoop = true;
+        isInBreakable = true;
+        break;
+      case "SwitchStatement":
+        isInBreakable = true;
+        break;
+    }
+
+    return Object.entries(node).some(([key, value]) => {
+      if (key.endsWith("Comments")) {
+        return false;
+      }
+      const children = Array.isArray(value) ? value : [value];
+      return children.some((child) =>
+        visit(child, labels, isInLoop, isInBreakable)
+      );
+    });
+  };
+
+  return visit(rootNode, [], false, false);
+}
+
+/**
+ * Determines whether an expression assigns to something (e.g. `a = b`,
+ * `a++`). Doesn't look inside nested functions.
+ */
+function containsAssignment(node) {
+  if (!node || typeof node.type !== "string") {
+    return false;
+  }
+
+  switch (node.type) {
+    case "FunctionExpression":
+    case "ArrowFunctionExpression":
+    case "ClassMethod":
+    case "ObjectMethod":
+      return false;
+    case "AssignmentExpression":
+    case "UpdateExpression":
+      return true;
+  }
+
+  return Object.entries(node).some(([key, value]) => {
+    if (key.endsWith("Comments")) {
+      return false;
+    }
+    const children = Array.isArray(value) ? value : [value];
+    return children.some(containsAssignment);
+  });
+}
+
+/** Collects the identifiers declared with let or const directly in a list of statements. */
+function getLexicalDeclarations(statements) {
+  return statements.flatMap((statement) => {
+    if (statement.type === "ClassDeclaration") {
+      // compiled like a let, see ClassDeclaration
+      return [{ id: statement.id, kind: "let" }];
+    }
+    if (statement.type !== "VariableDeclaration" || statement.kind === "var") {
+      return [];
+    }
+    return statement.declarations.flatMap(({ id }) =>
+      getPatternIdentifiers(id).map((identifier) => ({
+        id: identifier,
+        kind: statement.kind,
+      }))
+    );
+  });
 }
 
 class Compiler {
@@ -67,16 +250,29 @@ class Compiler {
     emitAssignmentComments,
     emitRegisterComments,
     writeDebug,
+    globalVarOpcode = "setVariable",
   }) {
     this._emitStatementComments = emitStatementComments;
     this._emitAssignmentComments = emitAssignmentComments;
     this._emitRegisterComments = emitRegisterComments;
     this._writeDebug = writeDebug;
+
+    if (!GLOBAL_VAR_OPCODES.has(globalVarOpcode)) {
+      throw new Error(
+        `Unknown globalVarOpcode "${globalVarOpcode}", expected one of: ${[
+          ...GLOBAL_VAR_OPCODES,
+        ].join(", ")}`
+      );
+    }
+    this._globalVarOpcode = globalVarOpcode;
   }
 
   _outputLines = [];
   _indent = 0;
   _sourceCode = "";
+  _borrowedGlobalRegisterCount = 0;
+  // top-level consts are globals, remember them to catch reassignments
+  _globalConstants = new Set();
   contexts = {
     /** @type {Context<Context.FunctionContext>} */
     function: new Context(),
@@ -99,8 +295,8 @@ class Compiler {
 
   generators = {
     FunctionDeclaration: (node) => {
-      // TODO: function closures - generate uniq names for globals for us to use?
-      const isExpression = node.id === null;
+      const isExpression = node.type !== "FunctionDeclaration";
+      const isArrowFunction = node.type === "ArrowFunctionExpression";
       if (node.id && node.id.type && node.id.type !== "Identifier") {
         throw new CompilerError(
           `Unknown node id type "${node.id.type}" in "${node.type}"`,
@@ -111,25 +307,101 @@ class Compiler {
       const functionName = !isExpression && node.id.name;
       const registerAllocator = new RegisterAllocator();
 
+      // Registers aren't visible to nested functions, so variables which
+      // nested functions use are stored by name in the activation object
+      // instead. The nested functions find them through the scope chain.
+      const scope = analyzeFunctionScope(node);
+      const isCaptured = (variableName) => scope.captured.has(variableName);
+      // a named function expression referring to itself gets its name bound
+      // to arguments.callee in the activation object
+      const selfName =
+        isExpression &&
+        node.id &&
+        scope.declared.get(node.id.name) === "self" &&
+        scope.referenced.has(node.id.name)
+          ? node.id.name
+          : undefined;
+      // Default values and the rest parameter are set up at the start of the
+      // function, only the positional parameters are declared in the header
+      const getParamId = (param) =>
+        param.type === "AssignmentPattern"
+          ? param.left
+          : param.type === "RestElement"
+          ? param.argument
+          : param;
+      const positionalParams = node.params.filter(
+        (param) => param.type !== "RestElement"
+      );
+      const restParam = node.params.find(
+        (param) => param.type === "RestElement"
+      );
+
+      const usesArguments =
+        !!selfName ||
+        !!restParam ||
+        (scope.declared.get("arguments") === "arguments" &&
+          scope.referenced.has("arguments"));
+      const usesSuper =
+        scope.declared.get("super") === "super" &&
+        scope.referenced.has("super");
+
       const registers = {
         // this, _root, _parent, etc.
+        // Flash Player preloads them in a fixed order: this, arguments, ...
         meta: {
-          this: registerAllocator.allocate("this"),
+          ...(!isArrowFunction && {
+            this: registerAllocator.allocate("this"),
+          }),
+          ...(usesArguments && {
+            arguments: registerAllocator.allocate("arguments"),
+          }),
+          ...(usesSuper && {
+            super: registerAllocator.allocate("super"),
+          }),
         },
         args: {},
         locals: {},
       };
+      // registers of destructured parameters by their position
+      const patternParamRegisters = [];
 
       // Reserve registers for arguments
-      node.params.forEach((param) => {
-        this.assertImplemented(() => param.type === "Identifier", param);
-        registers.args[param.name] = registerAllocator.allocate(param.name);
+      node.params.forEach((param, i) => {
+        const id = getParamId(param);
+        if (id.type !== "Identifier") {
+          // the argument is taken apart into locals at the start of the
+          // function, see emitDestructuring
+          if (param !== restParam) {
+            patternParamRegisters[i] = registerAllocator.allocate(
+              `${PATTERN_PARAM_PREFIX}${i}`
+            );
+          }
+          getPatternIdentifiers(id)
+            .filter(({ name }) => !isCaptured(name))
+            .forEach(({ name }) => {
+              registers.locals[name] = registerAllocator.allocate(
+                undefined,
+                this._emitRegisterComments ? `local:${name}` : undefined
+              );
+            });
+          return;
+        }
+        if (param !== restParam && !isCaptured(id.name)) {
+          registers.args[id.name] = registerAllocator.allocate(id.name);
+        }
       });
-
-      this.assertImplemented(
-        () => node.body.type === "BlockStatement",
-        node.body
-      );
+      // the rest parameter is a local sliced from arguments
+      if (
+        restParam &&
+        restParam.argument.type === "Identifier" &&
+        !isCaptured(restParam.argument.name)
+      ) {
+        const { name } = restParam.argument;
+        registers.locals[name] = registerAllocator.allocate(
+          undefined,
+          this._emitRegisterComments ? `local:${name}` : undefined
+        );
+      }
 
       const emitFunctionStart = () => {
         // Emit function start
@@ -137,23 +409,86 @@ class Compiler {
           // sort by register number and stringify
           return Object.values(regs)
             .sort((a, b) => a.id - b.id)
-            .map(({ id, name }) => (name ? `r:${id}='${name}'` : `r:${id}`))
+            .map(({ id, name }) =>
+              name ? `r:${id}=${encodeString(name)}` : `r:${id}`
+            )
             .join(", ");
         };
 
-        const argsStr = stringifyRegisters(registers.args);
+        // captured arguments aren't put into registers, just named
+        const argsStr = positionalParams
+          .map((param, i) => {
+            const { name } = getParamId(param);
+            const register = patternParamRegisters[i] || registers.args[name];
+            return register
+              ? stringifyRegisters([register])
+              : encodeString(name);
+          })
+          .join(", ");
         const metaStr = stringifyRegisters(registers.meta);
         if (isExpression) {
           this.emit(`function2 (${argsStr}) (${metaStr})`);
         } else {
-          this.emit(`function2 '${functionName}' (${argsStr}) (${metaStr})`);
+          this.emit(
+            `function2 ${encodeString(functionName)} (${argsStr}) (${metaStr})`
+          );
         }
         // locals aren't declared in the prelude, their registers are just...used
       };
 
+      if (
+        isArrowFunction &&
+        !this.contexts.function.peek() &&
+        scope.free.has("this")
+      ) {
+        // An arrow function at the global scope, only a register context
+        // directive can give us a "this" to store for it
+        const thisRegister = this.contexts.registerVariables
+          .peek()
+          ?.getVariableRegister("this");
+        if (!thisRegister) {
+          throw new CompilerError(
+            `"this" can only be used inside a function! If you know that "this" is defined in this context, define it with a "${JS2F_DIRECTIVE.PushRegisterContext}" directive.`,
+            node
+          );
+        }
+        this.emit(`push ${encodeString(LEXICAL_THIS_VARIABLE)}`);
+        this.emit(`push ${thisRegister.toToken()}`);
+        this.emit("setVariable");
+      }
+
       emitFunctionStart();
       this.indent();
 
+      // Declare captured vars upfront so that nested functions can assign
+      // them even before their declaration has run, like with hoisting
+      for (const [variableName, kind] of scope.declared) {
+        if (kind === "var" && isCaptured(variableName)) {
+          this.emit(`push ${encodeString(variableName)}`);
+          this.emit("defineLocal2");
+        }
+      }
+      // arrow functions inside this one use its this, arguments and super
+      [
+        ["this", LEXICAL_THIS_VARIABLE],
+        ["arguments", LEXICAL_ARGUMENTS_VARIABLE],
+        ["super", LEXICAL_SUPER_VARIABLE],
+      ].forEach(([name, lexicalName]) => {
+        if (isCaptured(name)) {
+          this.emit(`push ${encodeString(lexicalName)}`);
+          this.emit(`push ${registers.meta[name].toToken()}`);
+          this.emit("defineLocal");
+        }
+      });
+      if (selfName) {
+        // by name so that callFunction finds it
+        this.emit(`push ${encodeString(selfName)}`);
+        this.emit(`push ${registers.meta.arguments.toToken()}`);
+        this.emit("push 'callee'");
+        this.emit("getMember");
+        this.emit("defineLocal");
+      }
+
       // Bookkeeping object for variables declared so far so we can
       // emit an error if a variable gets double-declared
       const declaredVariables = {};
@@ -173,19 +508,26 @@ class Compiler {
                 }
                 declaredVariables[variableName] = true;
 
+                if (isCaptured(variableName)) {
+                  // lives in the activation object, see above
+                  return;
+                }
+
                 // Reserve register for local
                 registers.locals[id.name] = registerAllocator.allocate(
                   undefined,
                   this._emitRegisterComments ? `local:${id.name}` : undefined
                 );
               },
-              allocTemporaryRegister: () =>
+              allocTemporaryRegister: (debugName = "temp") =>
                 registerAllocator.allocate(
                   undefined,
-                  this._emitRegisterComments ? `temp` : undefined
+                  this._emitRegisterComments ? debugName : undefined
                 ),
               freeTemporaryRegister: (register) =>
                 registerAllocator.free(register),
+              isCapturedVariable: isCaptured,
+              isArrowFunction,
             },
           ],
           [
@@ -201,9 +543,97 @@ class Compiler {
               },
             },
           ],
+          // the loops and switches around the function aren't unwound by its
+          // returns
+          [this.contexts.loop, { kind: "function", labels: [] }],
         ],
         () => {
-          this.print(node.body);
+          node.params.forEach((param, i) => {
+            if (this._emitStatementComments && param.type !== "Identifier") {
+              this.emitNodeSourceComment(param);
+            }
+            const id = getParamId(param);
+            const storeLocal = (target) =>
+              this.emitDeclarationStore(target, "var");
+            if (
+              param.type === "ObjectPattern" ||
+              param.type === "ArrayPattern"
+            ) {
+              this.emitDestructuringParts(
+                param,
+                patternParamRegisters[i],
+                storeLocal
+              );
+            } else if (id.type !== "Identifier") {
+              // a destructured parameter with a default value, or a
+              // destructured rest parameter
+              this.emitDestructuring(
+                param === restParam ? id : param,
+                () => {
+                  if (param === restParam) {
+                    this.emit(
+                      `push ${i}, 1, ${registers.meta.arguments.toToken()}, 'slice'`
+                    );
+                    this.emit("callMethod");
+                  } else {
+                    this.emit(`push ${patternParamRegisters[i].toToken()}`);
+                  }
+                },
+                storeLocal
+              );
+            } else if (param.type === "AssignmentPattern") {
+              // if (a === undefined) a = defaultValue;
+              const labelId = Math.floor(Math.random() * 0xffffffff).toString(
+                16
+              );
+              const labelDefaultEnd = `label_${labelId}_default_end`;
+              this.print(param.left);
+              this.emit("push UNDEF");
+              this.emit("strictEquals");
+              this.emit("not");
+              this.emit(`branchIfTrue ${labelDefaultEnd}`);
+              this.printDiscardingValue({
+                type: "AssignmentExpression",
+                operator: "=",
+                left: param.left,
+                right: param.right,
+                start: param.start,
+                end: param.end,
+                loc: param.loc,
+              });
+              this.withDeindent(() => {
+                this.emit(`${labelDefaultEnd}:`);
+              });
+            } else if (param === restParam) {
+              // rest = arguments.slice(i)
+              const { name } = param.argument;
+              const register = registers.locals[name];
+              if (!register) {
+                this.emit(`push ${encodeString(name)}`);
+              }
+              this.emit(
+                `push ${i}, 1, ${registers.meta.arguments.toToken()}, 'slice'`
+              );
+              this.emit("callMethod");
+              if (register) {
+                this.emit(`setRegister ${register.toToken()}`);
+                this.emit("pop");
+              } else {
+                this.emit("defineLocal");
+              }
+            }
+          });
+
+          if (node.body.type === "BlockStatement") {
+            this.print(node.body);
+          } else {
+            // arrow function with an expression body
+            if (this._emitStatementComments) {
+              this.emitNodeSourceComment(node.body, (s) => `return ${s}`);
+            }
+            this.print(node.body);
+            this.emit("return");
+          }
           this.deindent();
 
           if (isExpression) {
@@ -215,9 +645,11 @@ class Compiler {
       );
     },
     BlockStatement: (node) => {
-      for (const bodyNode of node.body) {
-        this.print(bodyNode);
-      }
+      this.withBlockScope(node.body, () => {
+        for (const bodyNode of node.body) {
+          this.print(bodyNode);
+        }
+      });
     },
     VariableDeclaration: (node) => {
       if (this._emitStatementComments) {
@@ -225,41 +657,87 @@ class Compiler {
       }
       // TODO: investigate varEquals opcode
 
-      if (node.kind !== "var") {
-        throw new CompilerError(`Only "var" is supported at this time.`, node);
-      }
-
-      // can just print out the declarations - if we had different behavior for
-      // var,let,const, we'd probably have stuff to do here
       for (const declaration of node.declarations) {
+        // HACK: the declarator needs to know whether it's a var, let or const
+        declaration.__internalDeclarationKind = node.kind;
         this.print(declaration);
       }
     },
     VariableDeclarator: (node) => {
       const { id, init } = node;
+      const kind = node.__internalDeclarationKind || "var";
+      const fnCtx = this.contexts.function.peek();
+
+      if (id.type === "ObjectPattern" || id.type === "ArrayPattern") {
+        // e.g. var { x, y } = point;
+        for (const identifier of getPatternIdentifiers(id)) {
+          if (kind === "var") {
+            fnCtx?.declareVariable(identifier);
+          } else if (!fnCtx && kind === "const") {
+            this._globalConstants.add(identifier.name);
+          }
+        }
+        this.emitDestructuring(
+          id,
+          () => this.print(init),
+          (target) => this.emitDeclarationStore(target, kind)
+        );
+        return;
+      }
+
       this.assertImplemented(() => id.type === "Identifier", id);
       const variableName = id.name;
+      if (fnCtx && kind !== "var") {
+        // let and const got their registers when the block was entered,
+        // unless they're captured by a nested function
+        const binding = this.contexts.registerVariables
+          .peek()
+          .getBlockBinding(variableName);
+        if (!binding.register) {
+          this.emit(`push ${encodeString(variableName)}`);
+        }
+        if (init) {
+          this.print(init);
+        } else {
+          // the variable may still hold the value from the previous
+          // iteration of a loop
+          this.emit("push UNDEF");
+        }
+        if (binding.register) {
+          this.emit(`setRegister ${binding.register.toToken()}`);
+          this.emit("pop");
+        } else {
+          this.emit("defineLocal");
+        }
+        binding.isInitialized = true;
+        return;
+      }
 
-      const fnCtx = this.contexts.function.peek();
       if (fnCtx) {
         // Inside a function - add name to bookkeeping and reserve
         // a register if we missed it on the initial pass
         // (e.g. was not a top-level variable)
         fnCtx.declareVariable(id);
       } else {
-        // Nothing to do for globals since variables can be used freely
-        // without adding their names into the constant pool
+        // Top-level let and const are globals just like var.
+        // Nothing to do for setVariable globals since variables can be used
+        // freely without adding their names into the constant pool
+        if (kind === "const") {
+          this._globalConstants.add(variableName);
+        }
       }
 
       if (!init) {
-        // No initializer
+        // No initializer. Captured variables were declared at the start of
+        // the function.
+        if (!fnCtx && this._globalVarOpcode === "defineLocal") {
+          this.emit(`push ${encodeString(variableName)}`);
+          this.emit("defineLocal2");
+        }
         return;
       }
 
       // Has initializer
-      // Compile the init expression, should leave value on stack.
-      this.print(init);
-
       // Variable in register?
       const register = this.contexts.registerVariables
         .peek()
@@ -267,19 +745,24 @@ class Compiler {
       if (register) {
         // We're inside a function and there's a register allocated for a
         // variable with this name -> store it into the right register
+        // Compile the init expression, should leave value on stack.
+        this.print(init);
         this.emit(`setRegister ${register.toToken()}`);
         this.emit("pop");
         return;
       }
 
-      // Global variable.
-      throw new CompilerError(
-        `Global variables not implemented for ${node.type}`,
-        node
-      );
+      // Global variable, or a local captured by a nested function.
+      this.emit(`push ${encodeString(variableName)}`);
+      this.print(init);
+      this.emit(fnCtx ? "defineLocal" : this._globalVarOpcode);
     },
     NumericLiteral: (node) => {
-      this.emit(`push ${node.value}`);
+      // babel has already parsed hex, octal, binary and exponent notations
+      this.emit(`push ${encodeNumber(node.value)}`);
+    },
+    NullLiteral: () => {
+      this.emit("push NULL");
     },
     TemplateLiteral: (node) => {
       const { quasis } = node;
@@ -293,18 +776,13 @@ class Compiler {
 
       if (expressions.length === 0) {
         // just quasis?
-        const literal = quasis
-          .map((quasi) => quasi.value.raw)
-          .join()
-          .replace(/'/g, "\\'");
-        this.emit(`push '${literal}'`);
+        const literal = quasis.map((quasi) => quasi.value.cooked).join("");
+        this.emit(`push ${encodeString(literal)}`);
         return;
       }
 
       quasis.forEach((quasi, i) => {
-        const escapedValue = quasi.value.raw.replace(/'/g, "\\'");
-
-        this.emit(`push '${escapedValue}'`);
+        this.emit(`push ${encodeString(quasi.value.cooked)}`);
         const expression = expressions.shift();
 
         // last string slice doesn't have a matching expression
@@ -321,19 +799,7 @@ class Compiler {
       });
     },
     StringLiteral: (node) => {
-      const escapes = [
-        [/\x08/, "\\b"],
-        [/\x0c/, "\\f"],
-        [/\x0a/, "\\n"],
-        [/\x0d/, "\\r"],
-        [/\x09/, "\\t"],
-      ];
-
-      const escaped = escapes.reduce((str, [regex, replacement]) => {
-        return str.replace(regex, replacement);
-      }, node.value);
-
-      this.emit(`push '${escaped}'`);
+      this.emit(`push ${encodeString(node.value)}`);
     },
     BooleanLiteral: (node) => {
       switch (node.value) {
@@ -358,10 +824,22 @@ class Compiler {
         this.emit("push UNDEF");
         return;
       }
+      if (name === "NaN" || name === "Infinity") {
+        this.emit(`push ${encodeNumber(Number(name))}`);
+        return;
+      }
 
-      const register = this.contexts.registerVariables
-        .peek()
-        ?.getVariableRegister(name);
+      if (
+        name === "arguments" &&
+        this.contexts.function.peek()?.isArrowFunction
+      ) {
+        // stored by the enclosing function, see FunctionDeclaration
+        this.emit(`push ${encodeString(LEXICAL_ARGUMENTS_VARIABLE)}`);
+        this.emit("getVariable");
+        return;
+      }
+
+      const register = this.getVariableRegister(node);
       // local variable or arg, or otherwise found in register (i.e. declared
       // via directive)
       if (register) {
@@ -370,7 +848,7 @@ class Compiler {
       }
 
       // global
-      this.emit(`push '${name}'`);
+      this.emit(`push ${encodeString(name)}`);
 
       if (!node.__internalSkipGetMember) {
         this.emit("getVariable");
@@ -402,6 +880,23 @@ class Compiler {
       }
       this.withDeindent(() => this.emit(`${labelEnd}:`));
     },
+    ConditionalExpression: (node) => {
+      const { test, consequent, alternate } = node;
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelFalse = `label_${labelId}_cond_false`;
+      const labelEnd = `label_${labelId}_cond_end`;
+
+      // Same as IfStatement, except both branches leave exactly one value on
+      // the stack.
+      this.print(test);
+      this.emit("not");
+      this.emit(`branchIfTrue ${labelFalse}`);
+      this.print(consequent);
+      this.emit(`branch ${labelEnd}`);
+      this.withDeindent(() => this.emit(`${labelFalse}:`));
+      this.print(alternate);
+      this.withDeindent(() => this.emit(`${labelEnd}:`));
+    },
     WhileStatement: (node) => {
       if (this._emitStatementComments) {
         this.emitNodeSourceComment(
@@ -418,9 +913,14 @@ class Compiler {
 
       this.contexts.loop.wrap(
         {
+          kind: "loop",
+          labels: node.__internalLabels || [],
           emitBreak: () => {
             this.emit(`branch ${labelLoopEnd}`);
           },
+          emitContinue: () => {
+            this.emit(`branch ${labelLoopTest}`);
+          },
         },
         () => {
           this.withDeindent(() => {
@@ -439,138 +939,646 @@ class Compiler {
         }
       );
     },
-    BreakStatement: (node) => {
+    DoWhileStatement: (node) => {
       if (this._emitStatementComments) {
-        this.emitNodeSourceComment(node);
-      }
-
-      if (node.label !== null) {
-        throw new CompilerError(
-          `Labeled breaks are not implemented in "${node.type}"`,
-          node
+        this.emitNodeSourceComment(
+          node.test,
+          (testStr) => `do while (${testStr})`
         );
       }
 
-      const loopCtx = this.contexts.loop.peek();
-      if (!loopCtx) {
-        throw new CompilerError(`Can't use "break" outside a loop`, node);
-      }
+      const { test, body } = node;
 
-      loopCtx.emitBreak();
-    },
-    ReturnStatement: (node) => {
-      if (this._emitStatementComments) {
-        this.emitNodeSourceComment(node);
-      }
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelLoopStart = `label_${labelId}_loop_start`;
+      const labelLoopTest = `label_${labelId}_loop_test`;
+      const labelLoopEnd = `label_${labelId}_loop_end`;
 
-      const { argument } = node;
+      this.contexts.loop.wrap(
+        {
+          kind: "loop",
+          labels: node.__internalLabels || [],
+          emitBreak: () => {
+            this.emit(`branch ${labelLoopEnd}`);
+          },
+          emitContinue: () => {
+            this.emit(`branch ${labelLoopTest}`);
+          },
+        },
+        () => {
+          this.withDeindent(() => {
+            this.emit(`${labelLoopStart}:`);
+          });
+          this.print(body);
 
-      if (argument) {
-        this.print(argument);
-      } else {
-        this.emit("push UNDEF");
-      }
-      this.emit("return");
+          this.withDeindent(() => {
+            this.emit(`${labelLoopTest}:`);
+          });
+          this.print(test);
+          this.emit(`branchIfTrue ${labelLoopStart}`);
+
+          this.withDeindent(() => {
+            this.emit(`${labelLoopEnd}:`);
+          });
+        }
+      );
     },
-    ExpressionStatement: (node) => {
+    ForStatement: (node) => {
       if (this._emitStatementComments) {
-        this.emitNodeSourceComment(node);
+        // only the head of the loop, the body's statements get their own
+        this.emitNodeSourceComment(
+          { start: node.start, end: node.body.start },
+          (headStr) => headStr.trim()
+        );
       }
 
-      // HACK: Suggest to the expression node's AST visitor that we don't
-      // really need the return value, so they can leave the stack clean.
-      node.expression.__internalVoidExpressionOffered = true;
+      const { init, test, update, body } = node;
 
-      this.print(node.expression);
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelLoopTest = `label_${labelId}_loop_test`;
+      const labelLoopUpdate = `label_${labelId}_loop_update`;
+      const labelLoopEnd = `label_${labelId}_loop_end`;
 
-      // HACK: Visitor accepted this and cleaned up the stack so we don't need
-      // to.
-      if (node.expression.__internalVoidExpressionAck) {
-        return;
-      }
+      // let and const in the head are scoped to the loop
+      this.withBlockScope(init ? [init] : [], () => {
+        if (init) {
+          if (init.type === "VariableDeclaration") {
+            this.print(init);
+          } else {
+            this.printDiscardingValue(init);
+          }
+        }
 
-      this.emit("pop");
+        this.contexts.loop.wrap(
+          {
+            kind: "loop",
+            labels: node.__internalLabels || [],
+            emitBreak: () => {
+              this.emit(`branch ${labelLoopEnd}`);
+            },
+            emitContinue: () => {
+              this.emit(`branch ${labelLoopUpdate}`);
+            },
+          },
+          () => {
+            this.withDeindent(() => {
+              this.emit(`${labelLoopTest}:`);
+            });
+            // for (;;) loops forever
+            if (test) {
+              this.print(test);
+              this.emit(`not`);
+              this.emit(`branchIfTrue ${labelLoopEnd}`);
+            }
+
+            this.print(body);
+
+            this.withDeindent(() => {
+              this.emit(`${labelLoopUpdate}:`);
+            });
+            if (update) {
+              this.printDiscardingValue(update);
+            }
+            this.emit(`branch ${labelLoopTest}`);
+
+            this.withDeindent(() => {
+              this.emit(`${labelLoopEnd}:`);
+            });
+          }
+        );
+      });
     },
-    AssignmentExpression: (node) => {
-      if (this._emitAssignmentComments) {
-        this.emitNodeSourceComment(node);
+    ForInStatement: (node) => {
+      if (this._emitStatementComments) {
+        // only the head of the loop, the body's statements get their own
+        this.emitNodeSourceComment(
+          { start: node.start, end: node.body.start },
+          (headStr) => headStr.trim()
+        );
       }
-      const { left, operator, right } = node;
 
-      // Assume "left" is variable
-      if (left.type !== "Identifier" && left.type !== "MemberExpression") {
+      const { left, right, body } = node;
+
+      const fnCtx = this.contexts.function.peek();
+      let loopVariable;
+      if (left.type === "VariableDeclaration") {
+        const [declarator] = left.declarations;
+        this.assertImplemented(
+          () => declarator.id.type === "Identifier",
+          declarator.id
+        );
+        loopVariable = declarator.id;
+        if (left.kind === "var") {
+          fnCtx?.declareVariable(declarator.id);
+        } else if (!fnCtx && left.kind === "const") {
+          this._globalConstants.add(loopVariable.name);
+        }
+      } else if (left.type === "Identifier") {
+        loopVariable = left;
+      } else {
         throw new CompilerError(
-          `Left-side type "${left.type}" for operator "${node.operator}" not implemented for node "${node.type}"`,
+          `Loop variable type "${left.type}" not implemented in "${node.type}"`,
           left
         );
       }
 
-      const evaluateRight = () => {
-        switch (operator) {
-          case "=": {
-            // evaluate the right-side expression onto the stack
-            this.print(right);
-            break;
-          }
-          case "+=": {
-            // we're interested in the value itself, not its path
-            // __internalSkipGetMember is used when we want the path to the
-            // member to be on the stack for e.g. assignment
-            if (left.__internalSkipGetMember) {
-              left.__internalSkipGetMember = false;
-              this.print(left);
-              left.__internalSkipGetMember = true;
-            } else {
-              this.print(left);
-            }
-            this.print(right);
-            this.emit("add");
-            break;
-          }
-          case "-=": {
-            // we're interested in the value itself, not its path
-            // __internalSkipGetMember is used when we want the path to the
-            // member to be on the stack for e.g. assignment
-            if (left.__internalSkipGetMember) {
-              left.__internalSkipGetMember = false;
-              this.print(left);
-              left.__internalSkipGetMember = true;
+      const isLexical =
+        left.type === "VariableDeclaration" && left.kind !== "var";
+      // let and const loop variables are scoped to the loop
+      this.withBlockScope(isLexical ? [left] : [], () => {
+        // the loop itself may assign a const loop variable
+        const loopVariableRegister =
+          left.type === "VariableDeclaration"
+            ? this.contexts.registerVariables
+                .peek()
+                ?.getVariableRegister(loopVariable.name)
+            : this.getVariableRegister(loopVariable, { isWrite: true });
+
+        const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+        const labelLoopNext = `label_${labelId}_loop_next`;
+        const labelLoopBreak = `label_${labelId}_loop_break`;
+        const labelLoopEnd = `label_${labelId}_loop_end`;
+
+        // enumerate2 pushes a null terminator followed by the object's property
+        // names. Each iteration pops a name until the null is reached.
+        this.print(right);
+        this.emit("enumerate2");
+        if (isLexical && fnCtx) {
+          // the object is evaluated before the loop variable exists
+          this.contexts.registerVariables
+            .peek()
+            .getBlockBinding(loopVariable.name).isInitialized = true;
+        }
+
+        this.contexts.loop.wrap(
+          {
+            kind: "loop",
+            labels: node.__internalLabels || [],
+            emitBreak: () => {
+              this.emit(`branch ${labelLoopBreak}`);
+            },
+            emitContinue: () => {
+              this.emit(`branch ${labelLoopNext}`);
+            },
+            emitUnwind: () => {
+              // jumping out of an enclosing loop, drain this loop's property
+              // names off the stack on the way
+              const labelDrain = `label_${Math.floor(
+                Math.random() * 0xffffffff
+              ).toString(16)}_loop_drain`;
+              this.withDeindent(() => {
+                this.emit(`${labelDrain}:`);
+              });
+              this.emit("push NULL");
+              this.emit("equals");
+              this.emit("not");
+              this.emit(`branchIfTrue ${labelDrain}`);
+            },
+          },
+          () => {
+            this.withDeindent(() => {
+              this.emit(`${labelLoopNext}:`);
+            });
+            if (loopVariableRegister) {
+              this.emit(`setRegister ${loopVariableRegister.toToken()}`);
+              this.emit("push NULL");
+              this.emit("equals");
+              this.emit(`branchIfTrue ${labelLoopEnd}`);
             } else {
-              this.print(left);
+              this.emit("dup");
+              this.emit("push NULL");
+              this.emit("equals");
+              // the null terminator is still on the stack, let the break
+              // handler below pop it
+              this.emit(`branchIfTrue ${labelLoopBreak}`);
+              this.emit(`push ${encodeString(loopVariable.name)}`);
+              this.emit("swap");
+              if (!fnCtx && left.type === "VariableDeclaration") {
+                this.emit(this._globalVarOpcode);
+              } else {
+                // a captured let or const is a local of the activation object
+                this.emit(isLexical ? "defineLocal" : "setVariable");
+              }
             }
-            this.print(right);
-            this.emit("subtract");
-            break;
-          }
-          default: {
-            throw new CompilerError(
-              `Operator "${operator}" not implemented for node "${node.type}"`,
-              node
-            );
+
+            this.print(body);
+            this.emit(`branch ${labelLoopNext}`);
+
+            // Breaking out of the loop leaves the rest of the property names on
+            // the stack - pop them until we've popped the null terminator.
+            this.withDeindent(() => {
+              this.emit(`${labelLoopBreak}:`);
+            });
+            this.emit("push NULL");
+            this.emit("equals");
+            this.emit("not");
+            this.emit(`branchIfTrue ${labelLoopBreak}`);
+
+            this.withDeindent(() => {
+              this.emit(`${labelLoopEnd}:`);
+            });
           }
-        }
-      };
+        );
+      });
+    },
+    SwitchStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(
+          node.discriminant,
+          (discriminantStr) => `switch (${discriminantStr})`
+        );
+      }
 
-      const rightIsLiteral = isPushableLiteralNode(right);
-      const ctx = this.contexts.function.peek();
-      const leftRegister = this.contexts.registerVariables
-        .peek()
-        ?.getVariableRegister(left.name);
+      const { discriminant, cases } = node;
 
-      if (leftRegister) {
-        // Easy case - setRegister doesn't eat value from stack.
-        evaluateRight();
-        this.emit(`setRegister ${leftRegister.toToken()}`);
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelCase = (i) => `label_${labelId}_case_${i}`;
+      const labelSwitchEnd = `label_${labelId}_switch_end`;
 
-        if (node.__internalVoidExpressionOffered) {
+      // Evaluate the discriminant only once. Inside functions we can stash it
+      // into a register, at the global scope it's kept on the stack for the
+      // duration of the switch and dup'd for each comparison.
+      const fnCtx = this.contexts.function.peek();
+      const discriminantRegister = fnCtx?.allocTemporaryRegister();
+
+      this.print(discriminant);
+      if (discriminantRegister) {
+        this.emit(`setRegister ${discriminantRegister.toToken()}`);
+        this.emit("pop");
+      }
+      const popDiscriminant = () => {
+        if (!discriminantRegister) {
           this.emit("pop");
-          node.__internalVoidExpressionAck = true;
         }
-        return;
-      }
+      };
 
-      const leftIsMemberExpression = left.type === "MemberExpression";
-      const isInsideFunction = !!ctx;
+      cases.forEach((switchCase, i) => {
+        if (!switchCase.test) {
+          return;
+        }
+        if (discriminantRegister) {
+          this.emit(`push ${discriminantRegister.toToken()}`);
+        } else {
+          this.emit("dup");
+        }
+        this.print(switchCase.test);
+        this.emit("strictEquals");
+        this.emit(`branchIfTrue ${labelCase(i)}`);
+      });
+      const defaultIndex = cases.findIndex((switchCase) => !switchCase.test);
+      this.emit(
+        `branch ${defaultIndex >= 0 ? labelCase(defaultIndex) : labelSwitchEnd}`
+      );
+
+      // break exits the switch, but continue belongs to the enclosing loop
+      this.contexts.loop.wrap(
+        {
+          kind: "switch",
+          labels: node.__internalLabels || [],
+          emitBreak: () => {
+            this.emit(`branch ${labelSwitchEnd}`);
+          },
+          emitUnwind: popDiscriminant,
+        },
+        () => {
+          // all the cases share one block scope
+          const scopeStatements = cases.flatMap(
+            (switchCase) => switchCase.consequent
+          );
+          this.withBlockScope(scopeStatements, () =>
+            cases.forEach((switchCase, i) => {
+              if (this._emitStatementComments) {
+                if (switchCase.test) {
+                  this.emitNodeSourceComment(
+                    switchCase.test,
+                    (testStr) => `case ${testStr}:`
+                  );
+                } else {
+                  this.emit("//-- default:");
+                }
+              }
+              // cases fall through to the next one unless they break
+              this.withDeindent(() => {
+                this.emit(`${labelCase(i)}:`);
+              });
+              for (const bodyNode of switchCase.consequent) {
+                this.print(bodyNode);
+              }
+            })
+          );
+
+          this.withDeindent(() => {
+            this.emit(`${labelSwitchEnd}:`);
+          });
+          popDiscriminant();
+        }
+      );
+
+      if (discriminantRegister) {
+        fnCtx.freeTemporaryRegister(discriminantRegister);
+      }
+    },
+    LabeledStatement: (node) => {
+      const labels = [...(node.__internalLabels || []), node.label.name];
+      const { body } = node;
+
+      switch (body.type) {
+        case "LabeledStatement":
+        case "WhileStatement":
+        case "DoWhileStatement":
+        case "ForStatement":
+        case "ForInStatement":
+        case "SwitchStatement":
+          // the statement itself pushes the loop context, let it know about
+          // its labels
+          body.__internalLabels = labels;
+          this.print(body);
+          return;
+      }
+
+      // Any other statement can only be broken out of
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelEnd = `label_${labelId}_labeled_end`;
+
+      this.contexts.loop.wrap(
+        {
+          kind: "label",
+          labels,
+          emitBreak: () => {
+            this.emit(`branch ${labelEnd}`);
+          },
+        },
+        () => {
+          this.print(body);
+          this.withDeindent(() => {
+            this.emit(`${labelEnd}:`);
+          });
+        }
+      );
+    },
+    BreakStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(node);
+      }
+
+      this.emitLoopJump(node, "break");
+    },
+    ContinueStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(node);
+      }
+
+      this.emitLoopJump(node, "continue");
+    },
+    TryStatement: (node) => {
+      const { block, handler, finalizer } = node;
+
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const fnCtx = this.contexts.function.peek();
+
+      // Branching out of try/catch/finally blocks isn't possible, so a break,
+      // a continue or a return that jumps out of the try statement stores an
+      // id for the jump into a completion register and branches to the end of
+      // the current block instead. After the try statement's "end", the jump
+      // is finished from there.
+      const pendingJumps = [];
+      let returnValueRegister;
+
+      const emitTryStatement = (completionRegister) => {
+        let labelBlockExit;
+
+        const emitBlock = (
+          header,
+          blockNode,
+          blockName,
+          wrapBlock = (fn) => fn()
+        ) => {
+          this.emit(header);
+          this.indent();
+          labelBlockExit = `label_${labelId}_${blockName}_exit`;
+          wrapBlock(() => this.print(blockNode));
+          if (completionRegister) {
+            this.withDeindent(() => this.emit(`${labelBlockExit}:`));
+          }
+          this.deindent();
+        };
+
+        if (completionRegister) {
+          this.emit("push 0");
+          this.emit(`setRegister ${completionRegister.toToken()}`);
+          this.emit("pop");
+        }
+
+        this.contexts.loop.wrap(
+          {
+            kind: "try",
+            labels: [],
+            emitJumpOut: (jumpNode, keyword) => {
+              if (keyword === "return") {
+                returnValueRegister ??= fnCtx.allocTemporaryRegister("return");
+                this.emit(`setRegister ${returnValueRegister.toToken()}`);
+                this.emit("pop");
+              }
+              pendingJumps.push({ jumpNode, keyword });
+              this.emit(`push ${pendingJumps.length}`);
+              this.emit(`setRegister ${completionRegister.toToken()}`);
+              this.emit("pop");
+              this.emit(`branch ${labelBlockExit}`);
+            },
+          },
+          () => {
+            const param = handler?.param;
+            if (!param) {
+              emitBlock("try", block, "try");
+            } else {
+              this.assertImplemented(() => param.type === "Identifier", param);
+              const catchRegister =
+                fnCtx && !fnCtx.isCapturedVariable(param.name)
+                  ? fnCtx.allocTemporaryRegister(`local:${param.name}`)
+                  : undefined;
+              // Inside a function the caught value goes into a register
+              // which is only visible inside the catch block. At the global
+              // scope, or if a nested function uses it, it's stored by name.
+              emitBlock(
+                catchRegister
+                  ? `try r:${catchRegister.id}`
+                  : `try ${encodeString(param.name)}`,
+                block,
+                "try"
+              );
+              emitBlock("catch", handler.body, "catch", (fn) =>
+                fnCtx
+                  ? this.withBlockBindings(
+                      {
+                        [param.name]: {
+                          kind: "let",
+                          register: catchRegister,
+                          isInitialized: true,
+                        },
+                      },
+                      fn
+                    )
+                  : fn()
+              );
+              if (catchRegister) {
+                fnCtx.freeTemporaryRegister(catchRegister);
+              }
+            }
+
+            if (handler && !param) {
+              emitBlock("catch", handler.body, "catch");
+            }
+            if (finalizer) {
+              emitBlock("finally", finalizer, "finally");
+            }
+          }
+        );
+        this.emit("end // of try");
+
+        if (completionRegister) {
+          this.emit(`push ${completionRegister.toToken()}`);
+        }
+      };
+
+      if (!containsJumpOutOf(node)) {
+        emitTryStatement(undefined);
+        return;
+      }
+
+      // The jump id is left on the stack so that a borrowed global register
+      // has been restored before the jump
+      this.withTemporaryRegister(node, 1, emitTryStatement);
+      pendingJumps.forEach(({ jumpNode, keyword }, i) => {
+        const labelNextJump = `label_${labelId}_not_jump_${i + 1}`;
+        this.emit("dup");
+        this.emit(`push ${i + 1}`);
+        this.emit("strictEquals");
+        this.emit("not");
+        this.emit(`branchIfTrue ${labelNextJump}`);
+        this.emit("pop");
+        if (keyword === "return") {
+          this.emit(`push ${returnValueRegister.toToken()}`);
+          this.emitReturn(jumpNode);
+        } else {
+          this.emitLoopJump(jumpNode, keyword);
+        }
+        this.withDeindent(() => this.emit(`${labelNextJump}:`));
+      });
+      this.emit("pop");
+      if (returnValueRegister) {
+        fnCtx.freeTemporaryRegister(returnValueRegister);
+      }
+    },
+    ThrowStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(node);
+      }
+
+      this.print(node.argument);
+      this.emit("throw");
+    },
+    ReturnStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(node);
+      }
+
+      const { argument } = node;
+
+      if (argument) {
+        this.print(argument);
+      } else {
+        this.emit("push UNDEF");
+      }
+      this.emitReturn(node);
+    },
+    ExpressionStatement: (node) => {
+      if (this._emitStatementComments) {
+        this.emitNodeSourceComment(node);
+      }
+
+      this.printDiscardingValue(node.expression);
+    },
+    AssignmentExpression: (node) => {
+      if (this._emitAssignmentComments) {
+        this.emitNodeSourceComment(node);
+      }
+      const { left, operator, right } = node;
+
+      if (left.type === "ObjectPattern" || left.type === "ArrayPattern") {
+        // the value of the assignment is the right side
+        const isVoid = !!node.__internalVoidExpressionOffered;
+        this.emitDestructuring(
+          left,
+          () => this.print(right),
+          (target) => this.emitAssignmentStore(target),
+          !isVoid
+        );
+        if (isVoid) {
+          node.__internalVoidExpressionAck = true;
+        }
+        return;
+      }
+
+      // Assume "left" is variable
+      if (left.type !== "Identifier" && left.type !== "MemberExpression") {
+        throw new CompilerError(
+          `Left-side type "${left.type}" for operator "${node.operator}" not implemented for node "${node.type}"`,
+          left
+        );
+      }
+
+      if (operator === "||=" || operator === "&&=" || operator === "??=") {
+        this.emitLogicalAssignment(node);
+        return;
+      }
+
+      if (operator !== "=") {
+        // Compound assignment, e.g. "+=" -> "+"
+        const binaryOperator = operator.slice(0, -1);
+        if (!(binaryOperator in BINARY_OPERATOR_OPCODES)) {
+          throw new CompilerError(
+            `Operator "${operator}" not implemented for node "${node.type}"`,
+            node
+          );
+        }
+
+        const emitOperation = () => {
+          this.print(right);
+          this.emitBinaryOperator(binaryOperator, node);
+        };
+
+        if (node.__internalVoidExpressionOffered) {
+          this.emitReadModifyWrite(left, emitOperation, "none");
+          node.__internalVoidExpressionAck = true;
+          return;
+        }
+        this.emitReadModifyWrite(left, emitOperation, "new");
+        return;
+      }
+
+      const evaluateRight = () => {
+        // evaluate the right-side expression onto the stack
+        this.print(right);
+      };
+
+      const rightIsLiteral = isPushableLiteralNode(right);
+      const leftRegister =
+        left.type === "Identifier" &&
+        this.getVariableRegister(left, { isWrite: true });
+
+      if (leftRegister) {
+        // Easy case - setRegister doesn't eat value from stack.
+        evaluateRight();
+        this.emit(`setRegister ${leftRegister.toToken()}`);
+
+        if (node.__internalVoidExpressionOffered) {
+          this.emit("pop");
+          node.__internalVoidExpressionAck = true;
+        }
+        return;
+      }
+
+      const leftIsMemberExpression = left.type === "MemberExpression";
 
       if (leftIsMemberExpression) {
         // HACK so MemberExpression doesn't call getExpression - maybe I'm just
@@ -581,7 +1589,7 @@ class Compiler {
       const evaluateLeft = () =>
         leftIsMemberExpression
           ? this.print(left)
-          : this.emit(`push '${left.name}'`);
+          : this.emit(`push ${encodeString(left.name)}`);
       // Code below assumes `emitAssignment` eats the evaluated value from the
       // stack.
       const emitAssignment = () =>
@@ -618,104 +1626,63 @@ class Compiler {
         return;
       }
 
-      // B) We're in a function so we can use the function's registers as
-      // temporary registers
-      if (isInsideFunction) {
+      // B) Store the value into a temporary register and push it back onto
+      // the stack after assignment
+      this.withTemporaryRegister(node, 1, (tempRegister) => {
         evaluateLeft();
         evaluateRight();
-
-        const tempRegister = ctx.allocTemporaryRegister();
         this.emit(`setRegister ${tempRegister.toToken()}`);
         // store value
         emitAssignment();
         // push the value back onto the stack since we're in an expression
         this.emit(`push ${tempRegister.toToken()}`);
-        ctx.freeTemporaryRegister(tempRegister);
+      });
+    },
+    BinaryExpression: (node) => {
+      const { left, right, operator } = node;
+
+      if (operator === "in") {
+        this.emitInOperator(node);
         return;
       }
 
-      // C) We're at the root so we can't use temporary function registers
-      // borrow a global register, remember to restore afterwards
-      this.emit("push r:1");
-      evaluateLeft();
-      evaluateRight();
-      this.emit("setRegister r:1");
-      emitAssignment();
-      // Restore the borrowed global register
-      this.emit("setRegister r:1");
+      this.print(left);
+      this.print(right);
+      this.emitBinaryOperator(operator, node);
     },
-    BinaryExpression: (node) => {
+    LogicalExpression: (node) => {
       const { left, right, operator } = node;
 
+      if (!(operator in LOGICAL_OPERATOR_OPCODES)) {
+        throw new CompilerError(
+          `Operator "${operator}" not implemented for "${node.type}"`,
+          node
+        );
+      }
+
+      const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+      const labelEnd = `label_${labelId}_logical_end`;
+
       this.print(left);
+      this.emitLogicalShortCircuit(operator, labelEnd);
       this.print(right);
+      this.withDeindent(() => this.emit(`${labelEnd}:`));
+    },
+    SequenceExpression: (node) => {
+      const { expressions } = node;
+      const last = expressions[expressions.length - 1];
 
-      /*
-        enum BinaryOperator {
-          "==" | "!=" | "===" | "!=="
-            | "<" | "<=" | ">" | ">="
-            | "<<" | ">>" | ">>>"
-            | "+" | "-" | "*" | "/" | "%"
-            | "**" | "|" | "^" | "&" | "in"
-            | "instanceof"
-            | "|>"
-        }
-      */
-
-      const operators = new Map(
-        Object.entries({
-          "==": "equals",
-          // '!=': equals + not
-          "===": "strictEquals",
-          // '!==': strictEquals + not
-          "<": "lessThan",
-          // '<=': '>' + not
-          ">": "greaterThan",
-          // '>=': '<' + not
-          "<<": "shiftLeft",
-          ">>": "shiftRight",
-          ">>>": "shiftRight2", // maybe?
-          "+": "add",
-          "-": "subtract",
-          "*": "multiply",
-          "/": "divide",
-          "%": "modulo",
-          // ** not impl
-          "|": "bitwiseAnd",
-          "^": "bitwiseXor",
-          "&": "bitwiseOr",
-          instanceof: "instanceOf",
-        })
-      );
-
-      if (operators.has(operator)) {
-        this.emit(operators.get(operator));
-        return;
+      // only the last expression's value is the sequence's value
+      for (const expression of expressions.slice(0, -1)) {
+        this.printDiscardingValue(expression);
       }
 
-      switch (operator) {
-        case "!=":
-          this.emit(operators.get("=="));
-          this.emit("not");
-          return;
-        case "!==":
-          this.emit(operators.get("==="));
-          this.emit("not");
-          return;
-        case "<=":
-          this.emit(operators.get(">"));
-          this.emit("not");
-          return;
-        case ">=":
-          this.emit(operators.get("<"));
-          this.emit("not");
-          return;
-        default:
-          throw new CompilerError(
-            `Operator "${operator}" not implemented for "${node.type}"`,
-            node
-          );
+      if (node.__internalVoidExpressionOffered) {
+        this.printDiscardingValue(last);
+        node.__internalVoidExpressionAck = true;
+        return;
       }
+      this.print(last);
     },
     UnaryExpression: (node) => {
       const { operator, prefix, argument } = node;
@@ -738,6 +1705,81 @@ class Compiler {
           this.emit("subtract");
           return;
         }
+        case "+": {
+          this.print(argument);
+          this.emit("toNumber");
+          return;
+        }
+        case "~": {
+          this.print(argument);
+          this.emit("push -1");
+          this.emit("bitwiseXor");
+          return;
+        }
+        case "typeof": {
+          this.print(argument);
+          this.emit("typeOf");
+          return;
+        }
+        case "void": {
+          // e.g. "void 0" doesn't need to be evaluated at all
+          if (!isSideEffectFree(argument)) {
+            this.printDiscardingValue(argument);
+          }
+          if (node.__internalVoidExpressionOffered) {
+            node.__internalVoidExpressionAck = true;
+            return;
+          }
+          this.emit("push UNDEF");
+          return;
+        }
+        case "delete": {
+          if (argument.type === "MemberExpression") {
+            this.pushMemberObject(argument);
+            this.pushMemberProperty(argument);
+            this.emit("delete");
+            return;
+          }
+
+          if (argument.type === "OptionalMemberExpression") {
+            // a skipped chain deletes nothing and evaluates to true
+            this.printOptionalChain(
+              argument,
+              (chain) => {
+                if (argument.optional) {
+                  this.pushMemberObject(argument);
+                  this.emitOptionalChainCheck(chain);
+                  argument.__internalObjectRegister = chain.register;
+                }
+                this.pushMemberObject(argument);
+                this.pushMemberProperty(argument);
+                this.emit("delete");
+              },
+              "TRUE"
+            );
+            return;
+          }
+
+          if (argument.type === "Identifier") {
+            const register = this.contexts.registerVariables
+              .peek()
+              ?.getVariableRegister(argument.name);
+            if (register) {
+              // declared variables can't be deleted
+              this.emit("push FALSE");
+              return;
+            }
+
+            this.emit(`push ${encodeString(argument.name)}`);
+            this.emit("delete2");
+            return;
+          }
+
+          // deleting anything else is a no-op that evaluates to true
+          this.printDiscardingValue(argument);
+          this.emit("push TRUE");
+          return;
+        }
         default: {
           throw new CompilerError(
             `Operator "${operator}" not implemented in "${node.type}"`,
@@ -748,20 +1790,16 @@ class Compiler {
     },
     UpdateExpression: (node) => {
       const { operator, argument, prefix } = node;
-      if (argument.type !== "Identifier") {
+      if (
+        argument.type !== "Identifier" &&
+        argument.type !== "MemberExpression"
+      ) {
         throw new CompilerError(
           `Argument type "${argument.type}" not implemented for ${node.type}`,
           node
         );
       }
 
-      if (!prefix) {
-        throw new CompilerError(
-          `Only prefix operations implemented in ${node.type}`,
-          node
-        );
-      }
-
       const getOperationOpcode = () => {
         if (operator === "++") return "increment";
         if (operator === "--") return "decrement";
@@ -771,143 +1809,260 @@ class Compiler {
         );
       };
 
-      const register = this.contexts.registerVariables
-        .peek()
-        ?.getVariableRegister(argument.name);
-
-      // ++identifier
-      if (register) {
-        this.emit(`push ${register.toToken()}`);
-        this.emit(getOperationOpcode());
-        this.emit(`setRegister ${register.toToken()}`);
-        return;
-      }
-
-      const evaluateOperation = () => {
-        this.emit(`push '${argument.name}'`);
-        this.emit("getVariable");
-        this.emit(getOperationOpcode());
-      };
-
       if (node.__internalVoidExpressionOffered) {
         // parent node has indicated that it doesn't need the value back onto
-        // the stack -> just setVariable
-        this.emit(`push '${argument.name}'`);
-        evaluateOperation();
-        this.emit("setVariable");
+        // the stack -> prefix and postfix are the same thing
+        this.emitReadModifyWrite(
+          argument,
+          () => this.emit(getOperationOpcode()),
+          "none"
+        );
         node.__internalVoidExpressionAck = true;
         return;
       }
 
-      // Not register variable -> need to get value back onto the stack after
-      // setVariable
+      // ++x evaluates to the new value, x++ to the old one
+      this.emitReadModifyWrite(
+        argument,
+        () => this.emit(getOperationOpcode()),
+        prefix ? "new" : "old"
+      );
+    },
+    MemberExpression: (node) => {
+      this.pushMemberObject(node);
+      this.pushMemberProperty(node);
 
-      // A) We're in a function so we can use the function's registers as
-      // temporary registers
-      const ctx = this.contexts.function.peek();
-      const tempRegister = ctx?.allocTemporaryRegister();
-      if (tempRegister) {
-        this.emit(`push '${argument.name}'`);
-        evaluateOperation();
-        this.emit(`setRegister ${tempRegister.toToken()}`);
-        this.emit("setVariable");
-        // push the value back onto the stack since we're in an expression
-        this.emit(`push ${tempRegister.toToken()}`);
-        ctx.freeTemporaryRegister(tempRegister);
-        return;
+      if (!node.__internalSkipGetMember) {
+        this.emit("getMember");
       }
+    },
+    OptionalMemberExpression: (node) => {
+      this.printOptionalChain(node, (chain) => {
+        if (node.optional && !node.__internalObjectRegister) {
+          this.pushMemberObject(node);
+          this.emitOptionalChainCheck(chain);
+          node.__internalObjectRegister = chain.register;
+        }
+        this.generators.MemberExpression(node);
+      });
+    },
+    FunctionExpression: (node) => {
+      // https://github.com/uxebu/flash8-swfparser/blob/7250fa9bfb0182536650692196f7568c4a0c86f4/src/main/java/com/jswiff/swfrecords/actions/DefineFunction2.java#L46
+      // The difference between a function declaration and a function
+      // expression is that a function expression doesn't specify a name.
+      // A function2 without a name (an expression) is pushed to the stack,
+      // whereas one with a name (a declaration) does no stack operations.
 
-      // B) We're at the root so we can't use temporary function registers
-      // borrow a global register, remember to restore afterwards
-      this.emit("push r:1");
-      this.emit(`push '${argument.name}'`);
-      evaluateOperation();
-      this.emit("setRegister r:1");
-      this.emit("setVariable");
-      // Restore the borrowed global register
-      this.emit("setRegister r:1");
+      // The id is only visible inside the function itself, so it's not
+      // emitted. FunctionDeclaration takes care of both.
+      this.generators.FunctionDeclaration(node);
     },
-    MemberExpression: (node) => {
-      const { object, property, computed } = node;
+    ArrowFunctionExpression: (node) => {
+      this.generators.FunctionDeclaration(node);
+    },
+    ClassDeclaration: (node) => {
+      // compiled like `let Foo = class Foo { ... }`
+      this.print({
+        type: "VariableDeclaration",
+        kind: "let",
+        declarations: [
+          {
+            type: "VariableDeclarator",
+            id: node.id,
+            init: {
+              ...node,
+              type: "ClassExpression",
+              leadingComments: undefined,
+              trailingComments: undefined,
+            },
+            loc: node.loc,
+          },
+        ],
+        start: node.start,
+        end: node.end,
+        loc: node.loc,
+      });
+    },
+    ClassExpression: (node) => {
+      // The constructor function is the class. Methods are assigned to its
+      // prototype, static members to the constructor itself.
+      const { superClass } = node;
+      const members = node.body.body;
+      const constructorMethod = members.find(
+        (member) => member.kind === "constructor"
+      );
 
-      const pushObjectToStack = () => {
-        switch (object.type) {
-          case "Identifier": {
-            const objectInRegister = this.contexts.registerVariables
-              .peek()
-              ?.getVariableRegister(object.name);
+      this.withTemporaryRegister(node, 1, (classRegister) => {
+        if (constructorMethod) {
+          this.generators.FunctionDeclaration(constructorMethod);
+        } else if (superClass) {
+          // default constructor calls the superclass constructor with the
+          // same arguments: arguments.callee.prototype.__constructor__ is the
+          // superclass after extends
+          this.emit("function2 () (r:1='this', r:2='arguments')");
+          this.indent();
+          this.emit("push r:arguments, r:this, 2, r:arguments, 'callee'");
+          this.emit("getMember");
+          this.emit("push 'prototype'");
+          this.emit("getMember");
+          this.emit("push '__constructor__'");
+          this.emit("getMember");
+          this.emit("push 'apply'");
+          this.emit("callMethod");
+          this.emit("pop");
+          this.deindent();
+          this.emit("end");
+        } else {
+          this.emit("function2 () ()");
+          this.emit("end");
+        }
+        this.emit(`setRegister ${classRegister.toToken()}`);
+        this.emit("pop");
 
-            if (objectInRegister) {
-              this.emit(`push ${objectInRegister.toToken()}`);
-            } else {
-              this.emit(`push '${object.name}'`);
-              this.emit("getVariable");
-            }
-            break;
+        if (superClass) {
+          this.emit(`push ${classRegister.toToken()}`);
+          this.print(superClass);
+          this.emit("extends");
+        }
+
+        const pushTarget = (member) => {
+          this.emit(`push ${classRegister.toToken()}`);
+          if (!member.static) {
+            this.emit("push 'prototype'");
+            this.emit("getMember");
           }
-          case "NewExpression":
-          case "MemberExpression":
-          case "ThisExpression":
-            this.print(object);
-            break;
-          default:
-            throw new CompilerError(
-              `Object type "${object.type}" not implemented in "${node.type}".`,
-              object
+        };
+        const pushKey = (member) => {
+          if (!member.computed && member.key.type === "Identifier") {
+            this.emit(`push ${encodeString(member.key.name)}`);
+          } else {
+            this.print(member.key);
+          }
+        };
+        const emitMemberComment = (member) => {
+          if (this._emitStatementComments) {
+            // only the head of methods, their statements get their own
+            this.emitNodeSourceComment(
+              { start: member.start, end: member.body?.start ?? member.end },
+              (headStr) => headStr.trim()
             );
-        }
-      };
+          }
+        };
 
-      pushObjectToStack();
+        const emittedAccessors = new Set();
+        for (const member of members) {
+          if (member === constructorMethod) {
+            continue;
+          }
 
-      if (computed) {
-        if (!isSideEffectFree(property)) {
-          if (isMemberExpression(property)) {
-            if (node.__internalSkipGetMember) {
-              throw new CompilerError(
-                `Assignment to computed properties with possible side effects in the expression are not implemented in ${node.type}`,
-                property
-              );
+          switch (member.type) {
+            case "ClassMethod": {
+              if (member.kind === "method") {
+                emitMemberComment(member);
+                pushTarget(member);
+                pushKey(member);
+                this.generators.FunctionDeclaration(member);
+                this.emit("setMember");
+                break;
+              }
+
+              // Getters and setters: target.addProperty(name, get, set)
+              if (member.computed) {
+                throw new CompilerError(
+                  `Computed getter and setter names are not implemented in "${node.type}"`,
+                  member.key
+                );
+              }
+              if (emittedAccessors.has(member)) {
+                break;
+              }
+              const name = member.key.name ?? String(member.key.value);
+              const findAccessor = (kind) =>
+                members.find(
+                  (other) =>
+                    other.type === "ClassMethod" &&
+                    other.kind === kind &&
+                    !other.computed &&
+                    !!other.static === !!member.static &&
+                    (other.key.name ?? String(other.key.value)) === name
+                );
+              const getter = findAccessor("get");
+              const setter = findAccessor("set");
+              emittedAccessors.add(getter).add(setter);
+
+              emitMemberComment(member);
+              if (setter) {
+                this.generators.FunctionDeclaration(setter);
+              } else {
+                this.emit("push NULL");
+              }
+              if (getter) {
+                this.generators.FunctionDeclaration(getter);
+              } else {
+                // addProperty needs a getter, this one returns undefined
+                this.emit("function2 () ()");
+                this.emit("end");
+              }
+              this.emit(`push ${encodeString(name)}, 3`);
+              pushTarget(member);
+              this.emit("push 'addProperty'");
+              this.emit("callMethod");
+              this.emit("pop");
+              break;
             }
-          } else {
-            throw new CompilerError(
-              `Computed properties with possible side effects in the expression are not implemented in ${node.type}`,
-              property
-            );
+            case "ClassProperty": {
+              if (!member.static) {
+                throw new CompilerError(
+                  `Instance properties are not implemented in "${node.type}", assign them in the constructor instead`,
+                  member
+                );
+              }
+              emitMemberComment(member);
+              pushTarget(member);
+              pushKey(member);
+              if (member.value) {
+                this.print(member.value);
+              } else {
+                this.emit("push UNDEF");
+              }
+              this.emit("setMember");
+              break;
+            }
+            default:
+              this.throwNodeNotImplemented(member);
           }
         }
-        this.print(property);
-      } else {
-        if (property.type !== "Identifier") {
-          throw new CompilerError(
-            `Property type "${property.type}" not implemented for non-computed properties in "${node.type}".`,
-            property
-          );
-        }
 
-        this.emit(`push '${property.name}'`);
+        this.emit(`push ${classRegister.toToken()}`);
+      });
+    },
+    Super: (node) => {
+      if (this.contexts.function.peek()?.isArrowFunction) {
+        // stored by the enclosing function, see FunctionDeclaration
+        this.emit(`push ${encodeString(LEXICAL_SUPER_VARIABLE)}`);
+        this.emit("getVariable");
+        return;
       }
 
-      if (!node.__internalSkipGetMember) {
-        this.emit("getMember");
+      const register = this.contexts.registerVariables
+        .peek()
+        ?.getVariableRegister("super");
+      if (!register) {
+        throw new CompilerError(
+          `"super" can only be used inside class methods`,
+          node
+        );
       }
-    },
-    FunctionExpression: (node) => {
-      // https://github.com/uxebu/flash8-swfparser/blob/7250fa9bfb0182536650692196f7568c4a0c86f4/src/main/java/com/jswiff/swfrecords/actions/DefineFunction2.java#L46
-      // The difference between a function declaration and a function
-      // expression is that a function expression doesn't specify a name.
-      // A function2 without a name (an expression) is pushed to the stack,
-      // whereas one with a name (a declaration) does no stack operations.
-
-      // HACK: lol just discard id, replace root node with a
-      // FunctionDeclaration and emit a FunctionDeclaration
-      this.print({
-        ...node,
-        type: "FunctionDeclaration",
-        id: null,
-      });
+      this.emit(`push ${register.toToken()}`);
     },
     ThisExpression: (node) => {
+      if (this.contexts.function.peek()?.isArrowFunction) {
+        // stored by the enclosing function, see FunctionDeclaration
+        this.emit(`push ${encodeString(LEXICAL_THIS_VARIABLE)}`);
+        this.emit("getVariable");
+        return;
+      }
+
       const ctx = this.contexts.registerVariables.peek();
       if (!ctx) {
         throw new CompilerError(
@@ -940,32 +2095,106 @@ class Compiler {
     ArrayExpression: (node) => {
       const { elements } = node;
 
+      if (elements.some((elem) => elem?.type === "SpreadElement")) {
+        // [a, ...rest] -> [a].concat(rest)
+        this.pushSpreadArguments(elements);
+        return;
+      }
+
       /* Array expressions work like this:
        * 1. Push all elements to stack in reverse order
        * 2. Push array length to stack
        * 3. initArray
        */
       for (const elem of [...elements].reverse()) {
-        this.print(elem);
+        if (elem === null) {
+          // a hole, e.g. [1, , 3]
+          this.emit("push UNDEF");
+        } else {
+          this.print(elem);
+        }
       }
       this.emit(`push ${elements.length}`);
       this.emit("initArray");
     },
+    ObjectExpression: (node) => {
+      const { properties } = node;
+
+      /* Object expressions work like this:
+       * 1. Push the name and the value of every property to stack
+       * 2. Push property count to stack
+       * 3. initObject
+       */
+      for (const property of properties) {
+        if (property.type !== "ObjectProperty") {
+          throw new CompilerError(
+            `Property type "${property.type}" not implemented in "${node.type}"`,
+            property
+          );
+        }
+
+        const { key, value, computed } = property;
+        if (computed) {
+          throw new CompilerError(
+            `Computed property names are not implemented in "${node.type}"`,
+            key
+          );
+        }
+
+        switch (key.type) {
+          case "Identifier":
+            this.emit(`push ${encodeString(key.name)}`);
+            break;
+          case "StringLiteral":
+            this.print(key);
+            break;
+          case "NumericLiteral":
+            this.emit(`push ${encodeString(String(key.value))}`);
+            break;
+          default:
+            throw new CompilerError(
+              `Property key type "${key.type}" not implemented in "${node.type}"`,
+              key
+            );
+        }
+
+        // shorthand properties have the identifier as the value too
+        this.print(value);
+      }
+      this.emit(`push ${properties.length}`);
+      this.emit("initObject");
+    },
     NewExpression: (node) => {
       const { callee, arguments: args } = node;
-      if (callee.type !== "Identifier") {
+      const spreadArg = args.find(
+        (argNode) => argNode.type === "SpreadElement"
+      );
+      if (spreadArg) {
+        // no Function.prototype.apply for constructors
         throw new CompilerError(
-          `Callee "${callee.type}" not implemented for "${node.type}"`,
-          callee
+          `Spread arguments are not implemented for "${node.type}"`,
+          spreadArg
         );
       }
 
+      if (callee.type === "MemberExpression") {
+        // e.g. new flash.geom.Point(1, 2)
+        this.emitMethodCall(node, "newMethod");
+        return;
+      }
+
+      if (callee.type !== "Identifier" || this.getVariableRegister(callee)) {
+        // any other constructor value, e.g. new (getClass())()
+        this.emitFunctionValueCall(node, "newMethod");
+        return;
+      }
+
       [...args].reverse().forEach((argNode) => {
         this.print(argNode);
       });
 
       this.emit(`push ${args.length}`);
-      this.emit(`push '${callee.name}'`);
+      this.emit(`push ${encodeString(callee.name)}`);
       this.emit(`new`);
     },
     CallExpression: (node) => {
@@ -993,29 +2222,1215 @@ class Compiler {
         return;
       }
 
+      if (args.some((argNode) => argNode.type === "SpreadElement")) {
+        this.emitSpreadCall(node);
+        return;
+      }
+
+      if (callee.type === "MemberExpression") {
+        this.emitMethodCall(node, "callMethod");
+        return;
+      }
+
+      if (callee.type === "Identifier" && !this.getVariableRegister(callee)) {
+        // functions which aren't in registers are called by their name
+        [...args].reverse().forEach((argNode) => {
+          this.print(argNode);
+        });
+        this.emit(`push ${args.length}`);
+        callee.__internalSkipGetMember = true;
+        this.print(callee);
+        this.emit("callFunction");
+        return;
+      }
+
+      // Any other function value, e.g. getHandler()(x). Also super(...),
+      // which calls the superclass constructor.
+      this.emitFunctionValueCall(node, "callMethod");
+    },
+    OptionalCallExpression: (node) => {
+      const { callee } = node;
+
+      this.printOptionalChain(node, (chain) => {
+        const hasSpreadArguments = node.arguments.some(
+          (argNode) => argNode.type === "SpreadElement"
+        );
+
+        if (callee.type === "Identifier") {
+          if (node.optional) {
+            this.print(callee);
+            this.emitOptionalChainCheck(chain);
+          }
+          this.generators.CallExpression(node);
+          return;
+        }
+
+        if (
+          callee.type !== "MemberExpression" &&
+          callee.type !== "OptionalMemberExpression"
+        ) {
+          // a function value, e.g. getHandler()?.(x). Evaluated ahead of the
+          // arguments, see below.
+          this.print(callee);
+          if (node.optional) {
+            this.emitOptionalChainCheck(chain);
+          } else {
+            this.emit(`setRegister ${chain.register.toToken()}`);
+            this.emit("pop");
+          }
+          node.__internalCalleeRegister = chain.register;
+          if (hasSpreadArguments) {
+            this.emitSpreadCall(node);
+          } else {
+            this.emitFunctionValueCall(node, "callMethod");
+          }
+          return;
+        }
+        if (
+          node.optional &&
+          callee.computed &&
+          !isSideEffectFree(callee.property)
+        ) {
+          throw new CompilerError(
+            `Optional calls of computed methods with side effects are not implemented in "${node.type}"`,
+            callee.property
+          );
+        }
+
+        // Evaluate the object, and the rest of the chain before it, ahead
+        // of the arguments. The chain might get skipped, and the arguments
+        // mustn't be left on the stack when it does.
+        this.pushMemberObject(callee);
+        if (callee.optional) {
+          this.emitOptionalChainCheck(chain);
+        } else {
+          this.emit(`setRegister ${chain.register.toToken()}`);
+          this.emit("pop");
+        }
+        callee.__internalObjectRegister = chain.register;
+
+        if (node.optional) {
+          // check the method, leaving the object in the register
+          this.emit(`push ${chain.register.toToken()}`);
+          this.pushMemberProperty(callee);
+          this.emit("getMember");
+          this.emit("push NULL");
+          this.emit("equals");
+          this.emit(`branchIfTrue ${chain.labelNullish}`);
+        }
+
+        if (hasSpreadArguments) {
+          this.emitSpreadCall(node);
+        } else {
+          this.emitMethodCall(node, "callMethod");
+        }
+      });
+    },
+  };
+
+  /**
+   * Finds the register `identifier` is stored in, or undefined if it's not
+   * in a register (e.g. a global).
+   *
+   * Throws if the access would throw in JS: using a let or const before its
+   * declaration, or assigning to a const.
+   *
+   * @param {any} identifier
+   * @param {{ isWrite?: boolean }} options
+   */
+  getVariableRegister(identifier, { isWrite = false } = {}) {
+    const { name } = identifier;
+    const registerVariables = this.contexts.registerVariables.peek();
+    const binding = registerVariables?.getBlockBinding?.(name);
+
+    if (binding && !binding.isInitialized) {
+      throw new CompilerError(
+        `Cannot access "${name}" before its declaration`,
+        identifier
+      );
+    }
+    if (
+      isWrite &&
+      (binding
+        ? binding.kind === "const"
+        : this._globalConstants.has(name) &&
+          !registerVariables?.getVariableRegister(name))
+    ) {
+      throw new CompilerError(
+        `Cannot assign to "${name}" because it is a constant`,
+        identifier
+      );
+    }
+
+    return registerVariables?.getVariableRegister(name);
+  }
+
+  /**
+   * Determines whether evaluating `valueNode` after `laterNodes` instead of
+   * before them can't be told apart: neither runs code that could change
+   * what the other one reads. Registers are only changed by assignments,
+   * called functions can't reach them.
+   */
+  isUnaffectedByEvaluationOrder(valueNode, laterNodes) {
+    const registerVariables = this.contexts.registerVariables.peek();
+    const readsOnlyRegisters = (node) =>
+      isPushableLiteralNode(node) ||
+      node.type === "ThisExpression" ||
+      node.type === "Super" ||
+      (node.type === "Identifier" &&
+        !!registerVariables?.getVariableRegister(node.name)) ||
+      (node.type === "TemplateLiteral" &&
+        node.expressions.every(readsOnlyRegisters)) ||
+      (node.type === "BinaryExpression" &&
+        readsOnlyRegisters(node.left) &&
+        readsOnlyRegisters(node.right)) ||
+      (node.type === "UnaryExpression" &&
+        node.operator !== "delete" &&
+        readsOnlyRegisters(node.argument));
+
+    const isValueUnseen =
+      isSideEffectFree(valueNode) ||
+      (laterNodes.every(readsOnlyRegisters) && !containsAssignment(valueNode));
+    const areLaterNodesUnseen =
+      laterNodes.every(isSideEffectFree) ||
+      (readsOnlyRegisters(valueNode) && !laterNodes.some(containsAssignment));
+    return isValueUnseen && areLaterNodesUnseen;
+  }
+
+  /**
+   * Calls `fn` inside a block scope holding the let and const declarations
+   * found directly in `statements`.
+   *
+   * Inside a function each of them gets a register of its own for the
+   * duration of the block. At the global scope there's nothing to do:
+   * they're compiled into global variables like var.
+   *
+   * @param {any[]} statements
+   * @param {() => void} fn
+   */
+  withBlockScope(statements, fn) {
+    const fnCtx = this.contexts.function.peek();
+    const declarations = fnCtx ? getLexicalDeclarations(statements) : [];
+    if (declarations.length === 0) {
+      fn();
+      return;
+    }
+
+    const bindings = {};
+    for (const { id, kind } of declarations) {
+      bindings[id.name] = {
+        kind,
+        // captured ones are stored in the activation object
+        register: fnCtx.isCapturedVariable(id.name)
+          ? undefined
+          : fnCtx.allocTemporaryRegister(`local:${id.name}`),
+        // until the declaration has been compiled
+        isInitialized: false,
+      };
+    }
+
+    this.withBlockBindings(bindings, fn);
+
+    for (const { register } of Object.values(bindings)) {
+      if (register) {
+        fnCtx.freeTemporaryRegister(register);
+      }
+    }
+  }
+
+  /**
+   * Calls `fn` with `bindings` shadowing the enclosing register variables.
+   * @param {Record<string, Context.BlockBinding>} bindings
+   * @param {() => void} fn
+   */
+  withBlockBindings(bindings, fn) {
+    const outerRegisterVariables = this.contexts.registerVariables.peek();
+    this.contexts.registerVariables.wrap(
+      {
+        getVariableRegister: (variableName) =>
+          bindings[variableName]
+            ? bindings[variableName].register
+            : outerRegisterVariables?.getVariableRegister(variableName),
+        getBlockBinding: (variableName) =>
+          bindings[variableName] ||
+          outerRegisterVariables?.getBlockBinding?.(variableName),
+      },
+      fn
+    );
+  }
+
+  /**
+   * Calls `fn` with a register that can be used as temporary storage.
+   *
+   * Inside a function the register is allocated from the function's own
+   * registers. At the global scope we have to borrow one of the global
+   * registers instead, since we might have been #include'd into code that
+   * uses them: its old value is pushed onto the stack before `fn` and
+   * restored afterwards. For that to work, `fn` must leave exactly
+   * `resultCount` (0 or 1) new values on the stack.
+   *
+   * @param {any} node AST node to blame if we run out of registers
+   * @param {0 | 1} resultCount
+   * @param {(register: Register) => void} fn
+   */
+  withTemporaryRegister(node, resultCount, fn) {
+    const fnCtx = this.contexts.function.peek();
+    if (fnCtx) {
+      const register = fnCtx.allocTemporaryRegister();
+      fn(register);
+      fnCtx.freeTemporaryRegister(register);
+      return;
+    }
+
+    const registerId =
+      GLOBAL_TEMPORARY_REGISTER_IDS[this._borrowedGlobalRegisterCount];
+    if (registerId === undefined) {
+      throw new CompilerError(
+        `Expression is too complex, ran out of global registers to borrow in "${node.type}"`,
+        node
+      );
+    }
+
+    const register = new Register(
+      registerId,
+      undefined,
+      this._emitRegisterComments ? `temp` : undefined
+    );
+    this._borrowedGlobalRegisterCount++;
+    // save the borrowed register's value under the expression's value
+    this.emit(`push ${register.toToken()}`);
+    fn(register);
+    if (resultCount === 1) {
+      this.emit("swap");
+    }
+    // restore the borrowed register
+    this.emit(`setRegister ${register.toToken()}`);
+    this.emit("pop");
+    this._borrowedGlobalRegisterCount--;
+  }
+
+  /**
+   * Like `withTemporaryRegister` but allocates `count` registers at once.
+   * @param {any} node
+   * @param {number} count
+   * @param {0 | 1} resultCount
+   * @param {(registers: Register[]) => void} fn
+   */
+  withTemporaryRegisters(node, count, resultCount, fn, registers = []) {
+    if (registers.length === count) {
+      fn(registers);
+      return;
+    }
+
+    this.withTemporaryRegister(node, resultCount, (register) =>
+      this.withTemporaryRegisters(node, count, resultCount, fn, [
+        ...registers,
+        register,
+      ])
+    );
+  }
+
+  /** Determines whether an expression is a plain read of a register, which is safe to evaluate twice. */
+  isRegisterValue(node) {
+    return (
+      node.type === "ThisExpression" ||
+      (node.type === "Identifier" &&
+        !!this.contexts.registerVariables
+          .peek()
+          ?.getVariableRegister(node.name))
+    );
+  }
+
+  /**
+   * Emits code that reads the value of `target` (an Identifier or a
+   * MemberExpression), lets `emitModify` turn the value on top of the stack
+   * into a new value, and writes the new value back into `target`. The
+   * object and the property of a member target are evaluated only once.
+   *
+   * `result` decides what's left on the stack afterwards:
+   * - "none": nothing
+   * - "new": the new value (e.g. `++x`, `x += 1`)
+   * - "old": the value before modification (e.g. `x++`)
+   *
+   * @param {any} target
+   * @param {() => void} emitModify
+   * @param {"none" | "new" | "old"} result
+   */
+  emitReadModifyWrite(target, emitModify, result) {
+    if (target.type === "Identifier") {
+      const register = this.getVariableRegister(target, { isWrite: true });
+
+      if (register) {
+        // setRegister doesn't eat the value
+        this.emit(`push ${register.toToken()}`);
+        if (result === "old") {
+          this.emit("dup");
+        }
+        emitModify();
+        this.emit(`setRegister ${register.toToken()}`);
+        if (result !== "new") {
+          this.emit("pop");
+        }
+        return;
+      }
+
+      if (result === "none") {
+        this.emit(`push ${encodeString(target.name)}`);
+        this.emit(`push ${encodeString(target.name)}`);
+        this.emit("getVariable");
+        emitModify();
+        this.emit("setVariable");
+        return;
+      }
+
+      // Keep a copy of the result under the value being assigned.
+      // setVariable wants the name under the value, so swap them.
+      this.emit(`push ${encodeString(target.name)}`);
+      this.emit("getVariable");
+      if (result === "old") {
+        this.emit("dup");
+        emitModify();
+      } else {
+        emitModify();
+        this.emit("dup");
+      }
+      this.emit(`push ${encodeString(target.name)}`);
+      this.emit("swap");
+      this.emit("setVariable");
+      return;
+    }
+
+    if (target.type !== "MemberExpression") {
+      throw new CompilerError(
+        `Target type "${target.type}" not implemented for read-modify-write`,
+        target
+      );
+    }
+
+    // The object and the property are needed twice: once for getMember and
+    // once for setMember. Anything but plain register values gets evaluated
+    // once and stored into a temporary register.
+    const objectNeedsRegister = !this.isRegisterValue(target.object);
+    const propertyNeedsRegister =
+      target.computed &&
+      !isPushableLiteralNode(target.property) &&
+      !this.isRegisterValue(target.property);
+    // the value to leave on the stack needs a register too, but it can reuse
+    // a register whose value has already been read by then
+    const registerCount = Math.max(
+      objectNeedsRegister + propertyNeedsRegister,
+      result === "none" ? 0 : 1
+    );
+
+    this.withTemporaryRegisters(
+      target,
+      registerCount,
+      result === "none" ? 0 : 1,
+      (registers) => {
+        const [objectRegister, propertyRegister] = objectNeedsRegister
+          ? registers
+          : [undefined, registers[0]];
+        const resultRegister = registers[0];
+
+        this.pushMemberObject(target);
+        if (objectNeedsRegister) {
+          this.emit(`setRegister ${objectRegister.toToken()}`);
+        }
+        this.pushMemberProperty(target);
+        if (propertyNeedsRegister) {
+          this.emit(`setRegister ${propertyRegister.toToken()}`);
+        }
+
+        // object | property -> object | property | value
+        if (objectNeedsRegister) {
+          this.emit(`push ${objectRegister.toToken()}`);
+        } else {
+          this.pushMemberObject(target);
+        }
+        if (propertyNeedsRegister) {
+          this.emit(`push ${propertyRegister.toToken()}`);
+        } else {
+          this.pushMemberProperty(target);
+        }
+        this.emit("getMember");
+
+        if (result === "old") {
+          this.emit(`setRegister ${resultRegister.toToken()}`);
+        }
+        emitModify();
+        if (result === "new") {
+          this.emit(`setRegister ${resultRegister.toToken()}`);
+        }
+        this.emit("setMember");
+        if (result !== "none") {
+          this.emit(`push ${resultRegister.toToken()}`);
+        }
+      }
+    );
+  }
+
+  /**
+   * Emits a `break` or a `continue`. Finds the targeted statement from the
+   * loop context stack, and unwinds anything that the statements jumped out
+   * of have left onto the stack.
+   * @param {any} node BreakStatement or ContinueStatement
+   * @param {"break" | "continue"} keyword
+   */
+  emitLoopJump(node, keyword) {
+    const label = node.label?.name;
+    const loopCtxs = this.contexts.loop.toArray().reverse();
+
+    const targetIndex = loopCtxs.findIndex((ctx) => {
+      if (label !== undefined) {
+        return ctx.labels.includes(label);
+      }
+      return keyword === "break"
+        ? ctx.kind === "loop" || ctx.kind === "switch"
+        : ctx.kind === "loop";
+    });
+
+    if (targetIndex < 0) {
+      if (label !== undefined) {
+        throw new CompilerError(`Unknown label "${label}"`, node.label);
+      }
+      throw new CompilerError(
+        keyword === "break"
+          ? `Can't use "break" outside a loop or a switch`
+          : `Can't use "continue" outside a loop`,
+        node
+      );
+    }
+
+    const target = loopCtxs[targetIndex];
+    if (keyword === "continue" && target.kind !== "loop") {
+      throw new CompilerError(
+        `Can't "continue" to label "${label}" since it doesn't label a loop`,
+        node.label
+      );
+    }
+
+    for (const ctx of loopCtxs.slice(0, targetIndex)) {
+      if (ctx.kind === "try") {
+        // Can't branch out of a try block, the try statement finishes the
+        // jump after its "end".
+        ctx.emitJumpOut(node, keyword);
+        return;
+      }
+      ctx.emitUnwind?.();
+    }
+
+    if (keyword === "break") {
+      target.emitBreak();
+    } else {
+      target.emitContinue();
+    }
+  }
+
+  /**
+   * Emits a `return` of the value on top of the stack. The value waits in a
+   * register while the statements returned out of unwind what they've left
+   * onto the stack, e.g. for...in's property names. A try statement takes
+   * the return over like a break, see TryStatement.
+   * @param {any} node ReturnStatement
+   */
+  emitReturn(node) {
+    const loopCtxs = this.contexts.loop.toArray().reverse();
+    const endIndex = loopCtxs.findIndex(
+      (ctx) => ctx.kind === "function" || ctx.kind === "try"
+    );
+    const unwoundCtxs = loopCtxs
+      .slice(0, endIndex < 0 ? undefined : endIndex)
+      .filter((ctx) => ctx.emitUnwind);
+
+    if (unwoundCtxs.length > 0) {
+      const fnCtx = this.contexts.function.peek();
+      const valueRegister = fnCtx.allocTemporaryRegister("return");
+      this.emit(`setRegister ${valueRegister.toToken()}`);
+      this.emit("pop");
+      unwoundCtxs.forEach((ctx) => ctx.emitUnwind());
+      this.emit(`push ${valueRegister.toToken()}`);
+      fnCtx.freeTemporaryRegister(valueRegister);
+    }
+
+    if (loopCtxs[endIndex]?.kind === "try") {
+      loopCtxs[endIndex].emitJumpOut(node, "return");
+      return;
+    }
+    this.emit("return");
+  }
+
+  /**
+   * Emits the opcodes for a binary operator whose operands have been pushed
+   * onto the stack.
+   */
+  emitBinaryOperator(operator, node) {
+    const opcodes = BINARY_OPERATOR_OPCODES[operator];
+    if (!opcodes) {
+      throw new CompilerError(
+        `Operator "${operator}" not implemented for "${node.type}"`,
+        node
+      );
+    }
+
+    for (const opcode of opcodes) {
+      this.emit(opcode);
+    }
+  }
+
+  /**
+   * Emits a destructuring of the value `pushValue` pushes into `pattern`,
+   * e.g. `{ a, b: [c = 1] }`. Object and array patterns keep the value in a
+   * temporary register while taking it apart, so it's evaluated only once.
+   *
+   * @param {any} pattern
+   * @param {() => void} pushValue
+   * @param {(target: any) => void} store stores the value on top of the
+   * stack into a variable (or a member in assignments), eating the value
+   * @param {boolean} keepValue whether to leave the value on the stack
+   */
+  emitDestructuring(pattern, pushValue, store, keepValue = false) {
+    switch (pattern.type) {
+      case "ObjectPattern":
+      case "ArrayPattern":
+        this.withTemporaryRegister(pattern, keepValue ? 1 : 0, (register) => {
+          pushValue();
+          this.emit(`setRegister ${register.toToken()}`);
+          this.emit("pop");
+          this.emitDestructuringParts(pattern, register, store);
+          if (keepValue) {
+            this.emit(`push ${register.toToken()}`);
+          }
+        });
+        return;
+      case "AssignmentPattern": {
+        // the default value replaces undefined
+        const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+        const labelDefaultEnd = `label_${labelId}_default_end`;
+        const pushValueOrDefault = () => {
+          pushValue();
+          this.emit("dup");
+          this.emit("push UNDEF");
+          this.emit("strictEquals");
+          this.emit("not");
+          this.emit(`branchIfTrue ${labelDefaultEnd}`);
+          this.emit("pop");
+          this.print(pattern.right);
+          this.withDeindent(() => this.emit(`${labelDefaultEnd}:`));
+        };
+        this.emitDestructuring(
+          pattern.left,
+          pushValueOrDefault,
+          store,
+          keepValue
+        );
+        return;
+      }
+      default:
+        pushValue();
+        if (keepValue) {
+          this.emit("dup");
+        }
+        store(pattern);
+    }
+  }
+
+  /**
+   * Destructures the value in `register` into the parts of an object or an
+   * array pattern, see `emitDestructuring`. Array patterns take arrays apart
+   * by their indices.
+   */
+  emitDestructuringParts(pattern, register, store) {
+    if (pattern.type === "ObjectPattern") {
+      for (const property of pattern.properties) {
+        if (property.type === "RestElement") {
+          throw new CompilerError(
+            `Rest elements are not implemented in "${pattern.type}"`,
+            property
+          );
+        }
+
+        this.emitDestructuring(
+          property.value,
+          () => {
+            this.emit(`push ${register.toToken()}`);
+            if (property.computed || property.key.type !== "Identifier") {
+              this.print(property.key);
+            } else {
+              this.emit(`push ${encodeString(property.key.name)}`);
+            }
+            this.emit("getMember");
+          },
+          store
+        );
+      }
+      return;
+    }
+
+    pattern.elements.forEach((element, i) => {
+      if (element === null) {
+        // a hole, e.g. [, second]
+        return;
+      }
+
+      if (element.type === "RestElement") {
+        // rest = value.slice(i)
+        this.emitDestructuring(
+          element.argument,
+          () => {
+            this.emit(`push ${i}, 1, ${register.toToken()}, 'slice'`);
+            this.emit("callMethod");
+          },
+          store
+        );
+        return;
+      }
+
+      this.emitDestructuring(
+        element,
+        () => {
+          this.emit(`push ${register.toToken()}, ${i}`);
+          this.emit("getMember");
+        },
+        store
+      );
+    });
+  }
+
+  /**
+   * Stores the value on top of the stack into a variable declared with
+   * `kind`, eating the value.
+   */
+  emitDeclarationStore(id, kind) {
+    const fnCtx = this.contexts.function.peek();
+    const registerVariables = this.contexts.registerVariables.peek();
+    const register = registerVariables?.getVariableRegister(id.name);
+
+    if (register) {
+      this.emit(`setRegister ${register.toToken()}`);
+      this.emit("pop");
+    } else {
+      // global, or captured by a nested function
+      this.emit(`push ${encodeString(id.name)}`);
+      this.emit("swap");
+      this.emit(fnCtx ? "defineLocal" : this._globalVarOpcode);
+    }
+
+    if (fnCtx && kind !== "var") {
+      registerVariables.getBlockBinding(id.name).isInitialized = true;
+    }
+  }
+
+  /**
+   * Stores the value on top of the stack into the target of an assignment,
+   * eating the value.
+   */
+  emitAssignmentStore(target) {
+    if (target.type === "MemberExpression") {
+      // setMember wants the object and the property under the value
+      this.pushMemberObject(target);
+      this.emit("swap");
+      this.pushMemberProperty(target);
+      this.emit("swap");
+      this.emit("setMember");
+      return;
+    }
+
+    if (target.type !== "Identifier") {
+      throw new CompilerError(
+        `Target type "${target.type}" not implemented for destructuring`,
+        target
+      );
+    }
+
+    const register = this.getVariableRegister(target, { isWrite: true });
+    if (register) {
+      this.emit(`setRegister ${register.toToken()}`);
+      this.emit("pop");
+      return;
+    }
+    this.emit(`push ${encodeString(target.name)}`);
+    this.emit("swap");
+    this.emit("setVariable");
+  }
+
+  /**
+   * Emits the short-circuit of a logical operator, with the left operand on
+   * top of the stack: if it alone decides the result (falsy for &&, truthy
+   * for ||, neither null nor undefined for ??), jumps to `labelEnd` with it
+   * as the value of the whole expression. Otherwise it's thrown away and the
+   * code that follows should push the result.
+   */
+  emitLogicalShortCircuit(operator, labelEnd) {
+    this.emit("dup");
+    LOGICAL_OPERATOR_OPCODES[operator].forEach((opcode) => this.emit(opcode));
+    this.emit(`branchIfTrue ${labelEnd}`);
+    this.emit("pop");
+  }
+
+  /**
+   * Emits a logical assignment, e.g. `a ||= b`. Like `a || (a = b)`, the
+   * assignment only happens when the left side doesn't decide the result.
+   * The object and the property of a member target are evaluated only once.
+   */
+  emitLogicalAssignment(node) {
+    const { left, right } = node;
+    // "||=" -> "||"
+    const logicalOperator = node.operator.slice(0, -1);
+
+    const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+    const labelEnd = `label_${labelId}_logical_end`;
+
+    if (left.type === "Identifier") {
+      const register = this.getVariableRegister(left, { isWrite: true });
+
+      this.print(left);
+      this.emitLogicalShortCircuit(logicalOperator, labelEnd);
+      this.print(right);
+      if (register) {
+        // setRegister doesn't eat the value
+        this.emit(`setRegister ${register.toToken()}`);
+      } else {
+        this.emit("dup");
+        this.emit(`push ${encodeString(left.name)}`);
+        this.emit("swap");
+        this.emit("setVariable");
+      }
+      this.withDeindent(() => this.emit(`${labelEnd}:`));
+      return;
+    }
+
+    const objectNeedsRegister = !this.isRegisterValue(left.object);
+    const propertyNeedsRegister =
+      left.computed &&
+      !isPushableLiteralNode(left.property) &&
+      !this.isRegisterValue(left.property);
+
+    this.withTemporaryRegisters(
+      left,
+      objectNeedsRegister + propertyNeedsRegister,
+      1,
+      (registers) => {
+        const [objectRegister, propertyRegister] = objectNeedsRegister
+          ? registers
+          : [undefined, registers[0]];
+
+        if (objectNeedsRegister) {
+          this.pushMemberObject(left);
+          this.emit(`setRegister ${objectRegister.toToken()}`);
+          this.emit("pop");
+        }
+        if (propertyNeedsRegister) {
+          this.pushMemberProperty(left);
+          this.emit(`setRegister ${propertyRegister.toToken()}`);
+          this.emit("pop");
+        }
+
+        const pushObject = () => {
+          if (objectNeedsRegister) {
+            this.emit(`push ${objectRegister.toToken()}`);
+          } else {
+            this.pushMemberObject(left);
+          }
+        };
+        const pushProperty = () => {
+          if (propertyNeedsRegister) {
+            this.emit(`push ${propertyRegister.toToken()}`);
+          } else {
+            this.pushMemberProperty(left);
+          }
+        };
+
+        pushObject();
+        pushProperty();
+        this.emit("getMember");
+        this.emitLogicalShortCircuit(logicalOperator, labelEnd);
+
+        // keep a copy of the new value under the object and the property
+        this.print(right);
+        this.emit("dup");
+        pushObject();
+        this.emit("swap");
+        pushProperty();
+        this.emit("swap");
+        this.emit("setMember");
+        this.withDeindent(() => this.emit(`${labelEnd}:`));
+      }
+    );
+  }
+
+  /**
+   * Prints a link of an optional chain, e.g. `a?.b.c()`. If the object of
+   * any `?.` in the chain is null or undefined, the rest of the chain is
+   * skipped and its value is undefined (or `nullishValue`).
+   *
+   * The outermost link sets up the chain. Each `?.` keeps the object it
+   * checked in the chain's register, so it's evaluated only once. The check
+   * happens before the link pushes anything else, so the stack is clean
+   * whenever the chain is skipped.
+   *
+   * @param {any} node OptionalMemberExpression or OptionalCallExpression
+   * @param {(chain: {register: Register, labelNullish: string}) => void} emitLink
+   * @param {string} nullishValue
+   */
+  printOptionalChain(node, emitLink, nullishValue = "UNDEF") {
+    if (node.__internalOptionalChain) {
+      emitLink(node.__internalOptionalChain);
+      return;
+    }
+
+    const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+    const labelNullish = `label_${labelId}_chain_nullish`;
+    const labelEnd = `label_${labelId}_chain_end`;
+
+    this.withTemporaryRegister(node, 1, (register) => {
+      const chain = { register, labelNullish };
+      for (
+        let link = node;
+        link.type === "OptionalMemberExpression" ||
+        link.type === "OptionalCallExpression";
+        link =
+          link.type === "OptionalMemberExpression" ? link.object : link.callee
+      ) {
+        link.__internalOptionalChain = chain;
+      }
+
+      emitLink(chain);
+      this.emit(`branch ${labelEnd}`);
+      this.withDeindent(() => this.emit(`${labelNullish}:`));
+      this.emit(`push ${nullishValue}`);
+      this.withDeindent(() => this.emit(`${labelEnd}:`));
+    });
+  }
+
+  /**
+   * Takes the value on top of the stack into the chain's register, and skips
+   * the rest of the optional chain if it's null or undefined.
+   */
+  emitOptionalChainCheck(chain) {
+    this.emit(`setRegister ${chain.register.toToken()}`);
+    this.emit("push NULL");
+    this.emit("equals");
+    this.emit(`branchIfTrue ${chain.labelNullish}`);
+  }
+
+  /**
+   * Emits a call to a MemberExpression callee with `opcode`: callMethod, or
+   * newMethod for `new` (e.g. `new flash.geom.Point(1, 2)`).
+   *
+   * The opcodes want the arguments under the object and the method name, so
+   * the arguments get evaluated first. If that would be observable (see
+   * `isUnaffectedByEvaluationOrder`), the object and the method name are
+   * evaluated first into temporary registers to keep the source evaluation
+   * order.
+   */
+  emitMethodCall(node, opcode) {
+    const { callee, arguments: args } = node;
+
+    // A method name in a register is evaluated before the object if the
+    // object isn't in one too, so then the object has to be unaffected by it
+    const propertyNeedsRegister =
+      callee.computed &&
+      !this.isUnaffectedByEvaluationOrder(callee.property, args);
+    const objectNeedsRegister =
+      !callee.__internalObjectRegister &&
+      !this.isUnaffectedByEvaluationOrder(
+        callee.object,
+        propertyNeedsRegister ? [callee.property, ...args] : args
+      );
+    const needsRegisters = objectNeedsRegister || propertyNeedsRegister;
+
+    const pushArgs = () => {
       [...args].reverse().forEach((argNode) => {
         this.print(argNode);
       });
-
       this.emit(`push ${args.length}`);
+    };
+
+    if (!needsRegisters) {
+      pushArgs();
       callee.__internalSkipGetMember = true;
       this.print(callee);
+      this.emit(opcode);
+      return;
+    }
 
-      switch (callee.type) {
-        case "Identifier":
-          this.emit("callFunction");
-          break;
-        case "MemberExpression":
-          this.emit("callMethod");
-          break;
-        default:
-          throw new CompilerError(
-            `Callee type "${callee.type}" not implemented in "${node.type}"`,
-            callee
-          );
+    this.withTemporaryRegisters(
+      node,
+      objectNeedsRegister + propertyNeedsRegister,
+      1,
+      (registers) => {
+        const [objectRegister, propertyRegister] = objectNeedsRegister
+          ? registers
+          : [undefined, registers[0]];
+
+        if (objectNeedsRegister) {
+          this.pushMemberObject(callee);
+          this.emit(`setRegister ${objectRegister.toToken()}`);
+          this.emit("pop");
+        }
+        if (propertyNeedsRegister) {
+          this.pushMemberProperty(callee);
+          this.emit(`setRegister ${propertyRegister.toToken()}`);
+          this.emit("pop");
+        }
+
+        pushArgs();
+
+        if (objectNeedsRegister) {
+          this.emit(`push ${objectRegister.toToken()}`);
+        } else {
+          this.pushMemberObject(callee);
+        }
+        if (propertyNeedsRegister) {
+          this.emit(`push ${propertyRegister.toToken()}`);
+        } else {
+          this.pushMemberProperty(callee);
+        }
+        this.emit(opcode);
       }
-    },
-  };
+    );
+  }
+
+  /**
+   * Emits a call of a function value, e.g. `getHandler()(x)`, with `opcode`:
+   * callMethod, or newMethod for `new`. Without a method name the opcodes
+   * call the object itself.
+   *
+   * Like in `emitMethodCall`, the callee is evaluated first into a temporary
+   * register if evaluating it after the arguments could be told apart, e.g.
+   * in `getHandler()(x)` or `f(f = g)`.
+   */
+  emitFunctionValueCall(node, opcode) {
+    const { callee, arguments: args } = node;
+    // already evaluated by an optional chain
+    const calleeRegister = node.__internalCalleeRegister;
+
+    const emitCall = (pushCallee) => {
+      [...args].reverse().forEach((argNode) => {
+        this.print(argNode);
+      });
+      this.emit(`push ${args.length}`);
+      pushCallee();
+      this.emit("push UNDEF");
+      this.emit(opcode);
+    };
+
+    if (calleeRegister) {
+      emitCall(() => this.emit(`push ${calleeRegister.toToken()}`));
+      return;
+    }
+    if (this.isUnaffectedByEvaluationOrder(callee, args)) {
+      emitCall(() => this.print(callee));
+      return;
+    }
+
+    this.withTemporaryRegister(node, 1, (calleeRegister) => {
+      this.print(callee);
+      this.emit(`setRegister ${calleeRegister.toToken()}`);
+      this.emit("pop");
+      emitCall(() => this.emit(`push ${calleeRegister.toToken()}`));
+    });
+  }
+
+  /**
+   * Emits a call with spread arguments, e.g. `obj.m(a, ...rest)`, as
+   * `obj.m.apply(obj, [a].concat(rest))`.
+   */
+  emitSpreadCall(node) {
+    const { callee, arguments: args } = node;
+
+    if (
+      callee.type !== "MemberExpression" &&
+      callee.type !== "OptionalMemberExpression"
+    ) {
+      // f.apply(undefined, args)
+      this.pushSpreadArguments(args);
+      this.emit("push UNDEF, 2");
+      if (node.__internalCalleeRegister) {
+        // already evaluated by an optional chain
+        this.emit(`push ${node.__internalCalleeRegister.toToken()}`);
+      } else {
+        this.print(callee);
+      }
+      this.emit("push 'apply'");
+      this.emit("callMethod");
+      return;
+    }
+
+    const emitApply = (pushObject) => {
+      // super.m(...args) calls the method with the current this
+      const pushThis =
+        callee.object.type === "Super"
+          ? () => this.print({ type: "ThisExpression" })
+          : pushObject;
+      this.pushSpreadArguments(args);
+      pushThis();
+      this.emit("push 2");
+      pushObject();
+      this.pushMemberProperty(callee);
+      this.emit("getMember");
+      this.emit("push 'apply'");
+      this.emit("callMethod");
+    };
+
+    if (callee.__internalObjectRegister || isSideEffectFree(callee.object)) {
+      emitApply(() => this.pushMemberObject(callee));
+      return;
+    }
+
+    // the object is both the method's owner and its this
+    this.withTemporaryRegister(node, 1, (objectRegister) => {
+      this.pushMemberObject(callee);
+      this.emit(`setRegister ${objectRegister.toToken()}`);
+      this.emit("pop");
+      emitApply(() => this.emit(`push ${objectRegister.toToken()}`));
+    });
+  }
+
+  /** Pushes an array of call arguments (or array elements) containing spread elements, e.g. `[a].concat(rest, [b])`. */
+  pushSpreadArguments(args) {
+    // consecutive plain arguments are grouped into arrays
+    const segments = [];
+    for (const argNode of args) {
+      if (argNode?.type === "SpreadElement") {
+        segments.push(argNode.argument);
+      } else if (Array.isArray(segments[segments.length - 1])) {
+        segments[segments.length - 1].push(argNode);
+      } else {
+        segments.push([argNode]);
+      }
+    }
+
+    const pushSegment = (segment) => {
+      if (Array.isArray(segment)) {
+        this.print({ type: "ArrayExpression", elements: segment });
+      } else {
+        this.print(segment);
+      }
+    };
+
+    // concat flattens the arrays given to it. It's called on the first
+    // group of plain arguments, or on an empty array if there isn't one.
+    const [first, ...rest] = Array.isArray(segments[0])
+      ? segments
+      : [[], ...segments];
+    [...rest].reverse().forEach(pushSegment);
+    this.emit(`push ${rest.length}`);
+    pushSegment(first);
+    this.emit("push 'concat'");
+    this.emit("callMethod");
+  }
+
+  /**
+   * Emits `key in object`. There's no opcode for it, so first check whether
+   * `object[key]` is defined, which also finds properties that are hidden
+   * from enumeration (e.g. built-in methods). If it's undefined, the
+   * property might still exist with an undefined value, so enumerate the
+   * object's properties looking for the key.
+   */
+  emitInOperator(node) {
+    const { left, right } = node;
+
+    const labelId = Math.floor(Math.random() * 0xffffffff).toString(16);
+    const labelEnumerateNext = `label_${labelId}_in_next`;
+    const labelFound = `label_${labelId}_in_found`;
+    const labelNotFound = `label_${labelId}_in_not_found`;
+    const labelEnd = `label_${labelId}_in_end`;
+
+    this.withTemporaryRegisters(node, 2, 1, ([keyRegister, objectRegister]) => {
+      // evaluate in source order, key first
+      this.print(left);
+      this.emit(`setRegister ${keyRegister.toToken()}`);
+      this.emit("pop");
+      this.print(right);
+      this.emit(`setRegister ${objectRegister.toToken()}`);
+
+      // object[key] !== undefined
+      this.emit(`push ${keyRegister.toToken()}`);
+      this.emit("getMember");
+      this.emit("push UNDEF");
+      this.emit("strictEquals");
+      this.emit("not");
+      this.emit("dup");
+      this.emit(`branchIfTrue ${labelEnd}`);
+      this.emit("pop");
+
+      // look for the key among the property names
+      this.emit(`push ${objectRegister.toToken()}`);
+      this.emit("enumerate2");
+      this.withDeindent(() => this.emit(`${labelEnumerateNext}:`));
+      this.emit("dup");
+      this.emit("push NULL");
+      this.emit("equals");
+      this.emit(`branchIfTrue ${labelNotFound}`);
+      this.emit(`push ${keyRegister.toToken()}`);
+      this.emit("equals");
+      this.emit("not");
+      this.emit(`branchIfTrue ${labelEnumerateNext}`);
+
+      // found - pop the rest of the property names off the stack
+      this.withDeindent(() => this.emit(`${labelFound}:`));
+      this.emit("push NULL");
+      this.emit("equals");
+      this.emit("not");
+      this.emit(`branchIfTrue ${labelFound}`);
+      this.emit("push TRUE");
+      this.emit(`branch ${labelEnd}`);
+
+      // not found - only the null terminator is left
+      this.withDeindent(() => this.emit(`${labelNotFound}:`));
+      this.emit("pop");
+      this.emit("push FALSE");
+      this.withDeindent(() => this.emit(`${labelEnd}:`));
+    });
+  }
+
+  /** Evaluates an expression only for its side effects, leaving the stack clean. */
+  printDiscardingValue(expression) {
+    // HACK: Suggest to the expression node's AST visitor that we don't
+    // really need the return value, so they can leave the stack clean.
+    expression.__internalVoidExpressionOffered = true;
+
+    this.print(expression);
+
+    // HACK: Visitor accepted this and cleaned up the stack so we don't need
+    // to.
+    if (expression.__internalVoidExpressionAck) {
+      return;
+    }
+
+    this.emit("pop");
+  }
+
+  /** Pushes the object of a MemberExpression onto the stack. */
+  pushMemberObject(node) {
+    // already evaluated by an optional chain
+    if (node.__internalObjectRegister) {
+      this.emit(`push ${node.__internalObjectRegister.toToken()}`);
+      return;
+    }
+
+    this.print(node.object);
+  }
+
+  /** Pushes the (possibly computed) property name of a MemberExpression onto the stack. */
+  pushMemberProperty(node) {
+    const { property, computed } = node;
+
+    if (computed) {
+      this.print(property);
+      return;
+    }
+
+    if (property.type !== "Identifier") {
+      throw new CompilerError(
+        `Property type "${property.type}" not implemented for non-computed properties in "${node.type}".`,
+        property
+      );
+    }
+
+    this.emit(`push ${encodeString(property.name)}`);
+  }
 
   optimize() {
     const pushOpcodeRgx = /^\s*push /;
@@ -1039,7 +3454,10 @@ class Compiler {
 
   compile(sourceCode) {
     this._sourceCode = sourceCode;
-    const result = babelParser.parse(sourceCode);
+    const result = babelParser.parse(sourceCode, {
+      // static class properties
+      plugins: ["classProperties"],
+    });
 
     try {
       for (const body of result.program.body) {
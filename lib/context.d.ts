@@ -11,6 +11,8 @@ class Context<T extends {}> {
 
   peek(): T | undefined;
 
+  toArray(): T[];
+
   assertWrapReturnNotPromise(val: any): any;
 }
 
@@ -24,16 +26,45 @@ declare namespace Context {
   interface FunctionContext {
     declareVariable: (id: IdentifierNode) => void;
     getVariableRegister: (variableName: string) => Register | undefined;
-    allocTemporaryRegister: () => Register;
+    allocTemporaryRegister: (debugName?: string) => Register;
     freeTemporaryRegister: (register: Register) => void;
+    /** Whether a nested function uses the variable, see scope-analysis.js */
+    isCapturedVariable: (variableName: string) => boolean;
+    /** Arrow functions use the enclosing function's this and arguments. */
+    isArrowFunction: boolean;
   }
 
   interface LoopContext {
-    emitBreak: () => void;
+    /**
+     * "loop" can be broken out of and continued, "switch" only broken out of,
+     * and "label" (a labeled non-loop statement) only broken out of by label.
+     * "try" can't be jumped out of directly, jumps are handed to emitJumpOut.
+     * "function" marks a function body, returns don't unwind past it.
+     */
+    kind: "loop" | "switch" | "label" | "try" | "function";
+    labels: string[];
+    emitBreak?: () => void;
+    emitContinue?: () => void;
+    /** Cleans up the stack when jumping out of the statement to an outer one. */
+    emitUnwind?: () => void;
+    emitJumpOut?: (
+      jumpNode: any,
+      keyword: "break" | "continue" | "return"
+    ) => void;
+  }
+
+  /** A let or const (or a catch parameter) living in a register. */
+  interface BlockBinding {
+    kind: "let" | "const";
+    /** Undefined if the variable is captured by a nested function. */
+    register: Register | undefined;
+    /** False until the declaration has been compiled. */
+    isInitialized: boolean;
   }
 
   interface RegisterVariablesContext {
     getVariableRegister: (variableName: string) => Register | undefined;
+    getBlockBinding?: (variableName: string) => BlockBinding | undefined;
   }
 }
 
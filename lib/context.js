@@ -16,6 +16,11 @@ class Context {
     return this._contextStack.pop();
   }
 
+  /** Returns the contexts from the outermost to the innermost. */
+  toArray() {
+    return [...this._contextStack];
+  }
+
   peek() {
     return this._contextStack.length > 0
       ? this._contextStack[this._contextStack.length - 1]
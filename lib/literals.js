@@ -0,0 +1,65 @@
+// Encodes JS values into Flasm literals, e.g. for push.
+
+// escapes understood by Flasm, other control characters are \x escaped
+const STRING_ESCAPES = {
+  "\b": "\\b",
+  "\f": "\\f",
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+  "'": "\\'",
+  "\\": "\\\\",
+};
+
+/**
+ * Encodes a string into a single-quoted Flasm string literal. Non-ASCII
+ * characters are kept as they are, Flasm writes them into the SWF as UTF-8.
+ *
+ * @param {string} value
+ */
+function encodeString(value) {
+  const escaped = value.replace(
+    /[\\'\x00-\x1f\x7f]/g,
+    (char) =>
+      STRING_ESCAPES[char] ||
+      `\\x${char.charCodeAt(0).toString(16).padStart(2, "0")}`
+  );
+  return `'${escaped}'`;
+}
+
+/**
+ * Encodes a number into a Flasm number literal. Flasm pushes numbers with a
+ * decimal point as doubles and ones without as 32-bit integers, so integers
+ * that don't fit into 32 bits get a decimal point too.
+ *
+ * @param {number} value
+ */
+function encodeNumber(value) {
+  if (Number.isNaN(value)) {
+    return "_NaN";
+  }
+  if (value === Infinity) {
+    return "POSITIVE_INFINITY";
+  }
+  if (value === -Infinity) {
+    return "NEGATIVE_INFINITY";
+  }
+
+  const isInt32 =
+    Number.isInteger(value) &&
+    value >= -0x80000000 &&
+    value <= 0x7fffffff &&
+    !Object.is(value, -0);
+  if (isInt32) {
+    return String(value);
+  }
+
+  // e.g. 1e21 -> 1.0e+21, 4294967296 -> 4294967296.0
+  const [mantissa, exponent] = (
+    Object.is(value, -0) ? "-0" : String(value)
+  ).split("e");
+  const double = mantissa.includes(".") ? mantissa : `${mantissa}.0`;
+  return exponent ? `${double}e${exponent}` : double;
+}
+
+module.exports = { encodeString, encodeNumber };
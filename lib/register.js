@@ -1,4 +1,5 @@
 const FLASM_KEYWORDS = require("./flasm-keywords.json");
+const { encodeString } = require("./literals");
 
 const flasmKeywordsLookup = new Map(FLASM_KEYWORDS.map((word) => [word, true]));
 
@@ -17,7 +18,9 @@ class Register {
     // flasm fails to parse if the name in r:name is a reserved keyword
     // seems to work if you enclose it in quotes
     const name =
-      this.name && isFlasmKeyword(this.name) ? `'${this.name}'` : this.name;
+      this.name && isFlasmKeyword(this.name)
+        ? encodeString(this.name)
+        : this.name;
 
     return this.debugName
       ? `r:${name || this.id} /*${this.debugName}*/`
@@ -0,0 +1,197 @@
+const FUNCTION_NODE_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+]);
+
+function isFunctionNode(node) {
+  return FUNCTION_NODE_TYPES.has(node.type);
+}
+
+/** Iterates the child nodes of an AST node along with their key in the parent. */
+function* childNodes(node) {
+  for (const [key, value] of Object.entries(node)) {
+    if (key.endsWith("Comments")) {
+      continue;
+    }
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        yield [key, child];
+      }
+    }
+  }
+}
+
+/** Determines whether an Identifier child of `parent` at `key` refers to a variable. */
+function isReference(parent, key) {
+  switch (parent.type) {
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      return key !== "property" || parent.computed;
+    case "ObjectProperty":
+    case "ObjectMethod":
+    case "ClassMethod":
+    case "ClassProperty":
+      return key !== "key" || parent.computed;
+    case "LabeledStatement":
+    case "BreakStatement":
+    case "ContinueStatement":
+      return key !== "label";
+    case "MetaProperty":
+      return false;
+    default:
+      return true;
+  }
+}
+
+/** Collects the identifiers bound by a declaration's id or a parameter, e.g. `{ a, b: [c] }`. */
+function getPatternIdentifiers(pattern) {
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern];
+    case "AssignmentPattern":
+      return getPatternIdentifiers(pattern.left);
+    case "RestElement":
+      return getPatternIdentifiers(pattern.argument);
+    case "ObjectPattern":
+      return pattern.properties.flatMap((property) =>
+        getPatternIdentifiers(
+          property.type === "RestElement" ? property : property.value
+        )
+      );
+    case "ArrayPattern":
+      return pattern.elements
+        .filter((element) => element !== null)
+        .flatMap(getPatternIdentifiers);
+    default:
+      return [];
+  }
+}
+
+function getPatternNames(pattern) {
+  return getPatternIdentifiers(pattern).map(({ name }) => name);
+}
+
+/**
+ * Collects the variables declared in a function's own scope, mapped to how
+ * they were declared. Block scopes are not told apart, a let inside a block
+ * counts as declared in the whole function.
+ *
+ * `this`, `arguments` and `super` are included since arrow functions don't
+ * have their own, they use the enclosing function's.
+ *
+ * @returns {Map<string, "this" | "arguments" | "super" | "self" | "param" | "var" | "let" | "const" | "function" | "class" | "catch">}
+ */
+function getDeclaredNames(functionNode) {
+  const declared = new Map();
+
+  if (functionNode.type !== "ArrowFunctionExpression") {
+    declared.set("this", "this");
+    declared.set("arguments", "arguments");
+    declared.set("super", "super");
+  }
+
+  // a named function expression can refer to itself by its name
+  if (functionNode.type !== "FunctionDeclaration" && functionNode.id) {
+    declared.set(functionNode.id.name, "self");
+  }
+
+  const visit = (node) => {
+    switch (node.type) {
+      case "VariableDeclaration":
+        for (const { id } of node.declarations) {
+          getPatternNames(id).forEach((name) => declared.set(name, node.kind));
+        }
+        break;
+      case "FunctionDeclaration":
+        declared.set(node.id.name, "function");
+        // has a scope of its own
+        return;
+      case "ClassDeclaration":
+        declared.set(node.id.name, "class");
+        break;
+      case "CatchClause":
+        if (node.param) {
+          getPatternNames(node.param).forEach((name) =>
+            declared.set(name, "catch")
+          );
+        }
+        break;
+    }
+
+    if (isFunctionNode(node)) {
+      return;
+    }
+    for (const [, child] of childNodes(node)) {
+      visit(child);
+    }
+  };
+
+  for (const param of functionNode.params) {
+    getPatternNames(param).forEach((name) => declared.set(name, "param"));
+  }
+  visit(functionNode.body);
+
+  return declared;
+}
+
+/**
+ * Analyzes the variables a function refers to.
+ *
+ * - `declared`: see `getDeclaredNames`
+ * - `captured`: declared variables which nested functions refer to. Those
+ *   can't live in registers since registers aren't visible to nested
+ *   functions.
+ * - `referenced`: every name referred to in the function or in nested
+ *   functions, including the ones declared outside of the function
+ * - `free`: referenced names which aren't declared in the function, i.e.
+ *   the ones that come from outer scopes
+ */
+function analyzeFunctionScope(functionNode) {
+  const declared = getDeclaredNames(functionNode);
+  const captured = new Set();
+  const referenced = new Set();
+
+  const visit = (node) => {
+    for (const [key, child] of childNodes(node)) {
+      if (isFunctionNode(child)) {
+        for (const name of analyzeFunctionScope(child).free) {
+          referenced.add(name);
+          if (declared.has(name)) {
+            captured.add(name);
+          }
+        }
+        continue;
+      }
+      if (child.type === "Identifier") {
+        if (isReference(node, key)) {
+          referenced.add(child.name);
+        }
+        continue;
+      }
+      if (child.type === "ThisExpression") {
+        referenced.add("this");
+        continue;
+      }
+      if (child.type === "Super") {
+        referenced.add("super");
+        continue;
+      }
+      visit(child);
+    }
+  };
+
+  for (const param of functionNode.params) {
+    visit({ type: "Param", param });
+  }
+  visit({ type: "Body", body: functionNode.body });
+
+  const free = new Set([...referenced].filter((name) => !declared.has(name)));
+
+  return { declared, captured, referenced, free };
+}
+
+module.exports = { analyzeFunctionScope, getPatternIdentifiers };
@@ -22,9 +22,10 @@ const binaryOperators = {
   multiply: "*",
   divide: "/",
   modulo: "%",
-  bitwiseAnd: "|",
+  bitwiseAnd: "&",
   bitwiseXor: "^",
-  bitwiseOr: "&",
+  bitwiseOr: "|",
+  instanceOf: " instanceof ",
 };
 
 class Stack extends Array {
@@ -65,6 +66,12 @@ function addStackSimulation(compilerOutput) {
       ? str.substring(1, str.length - 1)
       : str;
 
+  const stringifyMember = (object, property) =>
+    (property.startsWith('"') || property.startsWith("'")) &&
+    couldBeMemberName(trimStartEndQuote(property))
+      ? `${object}.${trimStartEndQuote(property)}`
+      : `${object}[${property}]`;
+
   const addOperatorParens = (operator, operand) => {
     // todo: implement proper handling
     for (let i = 0; i < operand.length; i++) {
@@ -92,6 +99,7 @@ function addStackSimulation(compilerOutput) {
     return operand;
   };
   let isInBlockComment = false;
+  const openBlocks = [];
 
   const simulateStack = (op) => {
     const stack = getStack();
@@ -118,10 +126,24 @@ function addStackSimulation(compilerOutput) {
       return op;
     }
 
+    // "end" closes both functions and try blocks
+    let isFunctionEnd = false;
+    if (opcode === "function2" || opcode === "try") {
+      openBlocks.push(opcode);
+    } else if (opcode === "end") {
+      isFunctionEnd = openBlocks.pop() === "function2";
+    }
+
     // if we reach branching, suppress simulation for the rest of the function
-    if (opcode === "branch" || opcode === "branchIfTrue") {
+    // catch and finally blocks are jumped to like branches
+    if (
+      opcode === "branch" ||
+      opcode === "branchIfTrue" ||
+      opcode === "catch" ||
+      opcode === "finally"
+    ) {
       stack.suppressSimulation = true;
-    } else if (opcode === "end") {
+    } else if (isFunctionEnd) {
       stack.suppressSimulation = false;
     }
 
@@ -150,9 +172,20 @@ function addStackSimulation(compilerOutput) {
         return op;
       }
       case "end": {
-        prevStack();
+        if (isFunctionEnd) {
+          prevStack();
+        }
         return op;
       }
+      case "try":
+      case "catch":
+      case "finally": {
+        return op;
+      }
+      case "throw": {
+        pop();
+        return paddedOp + stringifyStack();
+      }
       case "push": {
         // split the push by the commas, ignoring commas inside strings
         // could be fixed by emitting metadata instead of literal strings, but meh
@@ -162,19 +195,16 @@ function addStackSimulation(compilerOutput) {
         let i = 0;
         while (i < opcodeArgs.length) {
           const c = opcodeArgs[i];
-          const prevC = opcodeArgs[i - 1];
-          const isEscaped = prevC === "\\";
 
           if (c === "," && !currentStringQuotes) {
             splits.push(i);
           }
 
           if (currentStringQuotes) {
-            if (
-              (c === '"' || c === "'") &&
-              c === currentStringQuotes &&
-              !isEscaped
-            ) {
+            if (c === "\\") {
+              // skip the escaped character, e.g. \' or \\
+              i++;
+            } else if (c === currentStringQuotes) {
               currentStringQuotes = null;
             }
           } else {
@@ -207,14 +237,7 @@ function addStackSimulation(compilerOutput) {
       case "getMember": {
         const property = pop();
         const object = pop();
-        if (
-          (property.startsWith('"') || property.startsWith("'")) &&
-          couldBeMemberName(trimStartEndQuote(property))
-        ) {
-          push(`${object}.${trimStartEndQuote(property)}`);
-        } else {
-          push(`${object}[${property}]`);
-        }
+        push(stringifyMember(object, property));
         return paddedOp + stringifyStack();
       }
       case "new": {
@@ -224,6 +247,24 @@ function addStackSimulation(compilerOutput) {
         push(`new ${className}(${args.reverse().join(", ")})`);
         return paddedOp + stringifyStack();
       }
+      case "initArray": {
+        const elementCount = parseInt(pop(), 10);
+        const elements = stack.splice(stack.length - elementCount);
+        push(`[${elements.reverse().join(", ")}]`);
+        return paddedOp + stringifyStack();
+      }
+      case "initObject": {
+        const propertyCount = parseInt(pop(), 10);
+        const pairs = stack.splice(stack.length - propertyCount * 2);
+        const properties = [];
+        for (let i = 0; i < pairs.length; i += 2) {
+          const name = trimStartEndQuote(pairs[i]);
+          const key = couldBeMemberName(name) ? name : pairs[i];
+          properties.push(`${key}: ${pairs[i + 1]}`);
+        }
+        push(`{${properties.join(", ")}}`);
+        return paddedOp + stringifyStack();
+      }
       case "callFunction": {
         const fnName = trimStartEndQuote(pop());
         const argCount = parseInt(pop(), 10);
@@ -231,18 +272,43 @@ function addStackSimulation(compilerOutput) {
         push(`${fnName}(${args.reverse().join(", ")})`);
         return paddedOp + stringifyStack();
       }
-      case "callMethod": {
-        const fnName = trimStartEndQuote(pop());
+      case "callMethod":
+      case "newMethod": {
+        const methodName = pop();
         const object = pop();
         const argCount = parseInt(pop(), 10);
         const args = stack.splice(stack.length - argCount);
-        push(`${object}.${fnName}(${args.reverse().join(", ")})`);
+        // without a method name the object itself is called
+        const callee =
+          methodName === "UNDEF" ? object : stringifyMember(object, methodName);
+        push(
+          `${opcode === "newMethod" ? "new " : ""}${callee}(${args
+            .reverse()
+            .join(", ")})`
+        );
+        return paddedOp + stringifyStack();
+      }
+      case "enumerate2": {
+        // the property names are only known at runtime
+        const object = pop();
+        push("NULL", `key(${object})`);
         return paddedOp + stringifyStack();
       }
       case "pop": {
         pop();
         return paddedOp + stringifyStack();
       }
+      case "dup": {
+        const value = pop();
+        push(value, value);
+        return paddedOp + stringifyStack();
+      }
+      case "swap": {
+        const top = pop();
+        const below = pop();
+        push(top, below);
+        return paddedOp + stringifyStack();
+      }
       case "setRegister": {
         return paddedOp + stringifyStack();
       }
@@ -251,6 +317,21 @@ function addStackSimulation(compilerOutput) {
         pop();
         return paddedOp + stringifyStack();
       }
+      case "defineLocal": {
+        pop();
+        pop();
+        return paddedOp + stringifyStack();
+      }
+      case "defineLocal2": {
+        pop();
+        return paddedOp + stringifyStack();
+      }
+      case "extends": {
+        // subclass | superclass
+        pop();
+        pop();
+        return paddedOp + stringifyStack();
+      }
       case "setMember": {
         pop();
         pop();
@@ -269,6 +350,27 @@ function addStackSimulation(compilerOutput) {
         push(`!(${val})`);
         return paddedOp + stringifyStack();
       }
+      case "typeOf": {
+        const value = pop();
+        push(`typeof ${value}`);
+        return paddedOp + stringifyStack();
+      }
+      case "toNumber": {
+        const value = pop();
+        push(`+(${value})`);
+        return paddedOp + stringifyStack();
+      }
+      case "delete": {
+        const property = pop();
+        const object = pop();
+        push(`delete ${stringifyMember(object, property)}`);
+        return paddedOp + stringifyStack();
+      }
+      case "delete2": {
+        const varName = trimStartEndQuote(pop());
+        push(`delete ${varName}`);
+        return paddedOp + stringifyStack();
+      }
       case "increment": {
         const value = pop();
         push(`${addOperatorParens("+", value)} + 1`);
@@ -293,7 +395,8 @@ function addStackSimulation(compilerOutput) {
       case "modulo":
       case "bitwiseAnd":
       case "bitwiseXor":
-      case "bitwiseOr": {
+      case "bitwiseOr":
+      case "instanceOf": {
         const operator = binaryOperators[opcode];
         const right = addOperatorParens(operator, pop());
         const left = addOperatorParens(operator, pop());
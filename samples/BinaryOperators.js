@@ -0,0 +1,24 @@
+// Regression sample for the binary operator -> opcode mapping. Each line
+// notes the opcode(s) it must compile to.
+result = a == b; // equals
+result = a != b; // equals, not
+result = a === b; // strictEquals
+result = a !== b; // strictEquals, not
+result = a < b; // lessThan
+result = a <= b; // greaterThan, not
+result = a > b; // greaterThan
+result = a >= b; // lessThan, not
+result = a << b; // shiftLeft
+result = a >> b; // shiftRight
+result = a >>> b; // shiftRight2
+result = a + b; // add
+result = a - b; // subtract
+result = a * b; // multiply
+result = a / b; // divide
+result = a % b; // modulo
+result = a ** b; // Math.pow(a, b) via callMethod
+result = a | b; // bitwiseOr
+result = a ^ b; // bitwiseXor
+result = a & b; // bitwiseAnd
+result = a instanceof b; // instanceOf
+result = a in b; // getMember, then enumerate2 if undefined
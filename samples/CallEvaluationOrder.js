@@ -0,0 +1,14 @@
+// Regression sample for call evaluation order. The callee (or its object and
+// a computed method name) is evaluated before the arguments, in registers
+// where evaluating them after the arguments could be told apart.
+handlers[advance()](cursor); // handlers, advance() and cursor in order
+getObj().m(cursor); // getObj() before cursor
+a.f(reset()); // a before reset()
+a.f(b, "x"); // no registers needed
+getHandler()(cursor); // getHandler() before cursor
+new (getCls())(x); // getCls() before x
+
+function update(o, k) {
+  o[k]((k = 1)); // o and k before the assignment
+  o.m(h()); // no registers needed, h() can't change o
+}
@@ -0,0 +1,39 @@
+// Sample for classes lowered to prototype classes
+class Socket {
+  constructor(host, port) {
+    this.host = host;
+    this.port = port;
+  }
+
+  connect() {
+    return this.host + ":" + this.port;
+  }
+
+  get address() {
+    return this.connect();
+  }
+
+  set address(value) {
+    this.host = value;
+  }
+
+  static create(host) {
+    return new Socket(host, Socket.defaultPort);
+  }
+
+  static defaultPort = 10501;
+}
+
+class ReconnectingSocket extends Socket {
+  constructor(host, port) {
+    super(host, port);
+    this.retries = 0;
+  }
+
+  connect() {
+    this.retries++;
+    return super.connect();
+  }
+}
+
+class SecureSocket extends Socket {}